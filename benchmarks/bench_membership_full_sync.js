@@ -0,0 +1,66 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var ListMembership = require('./list-membership');
+var Membership = require('../lib/members').Membership;
+var Suite = require('benchmark').Suite;
+
+var NUM_MEMBERS = 2000;
+
+var ringpop = {
+    hostPort: '127.0.0.1:3000',
+    isRejected: function() {
+        return false;
+    },
+    stat: function() {}
+};
+var fullSync;
+
+function init() {
+    fullSync = [];
+
+    for (var i = 0; i < NUM_MEMBERS; i++) {
+        fullSync.push({
+            address: '127.0.0.1:' + (3000 + i),
+            status: 'alive',
+            incarnationNumber: 1414142122274
+        });
+    }
+}
+
+function reportPerformance(event) {
+    console.log(event.target.toString());
+}
+
+function benchThis() {
+    var membership = new Membership(ringpop);
+    membership.update(fullSync);
+}
+
+function benchBaseline() {
+    var membership = new ListMembership();
+    membership.update(fullSync);
+}
+
+var benchmark = new Suite();
+benchmark.add('update() with full sync of ' + NUM_MEMBERS + ' members', benchThis)
+    .add('baseline update() with full sync of ' + NUM_MEMBERS + ' members', benchBaseline)
+    .on('start', init)
+    .on('cycle', reportPerformance)
+    .run();
@@ -0,0 +1,71 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var ListMembership = require('./list-membership');
+var Membership = require('../lib/members').Membership;
+var Suite = require('benchmark').Suite;
+
+var NUM_MEMBERS = 2000;
+
+var ringpop = {
+    hostPort: '127.0.0.1:3000',
+    isRejected: function() {
+        return false;
+    },
+    stat: function() {}
+};
+var membership;
+var baselineMembership;
+
+function init() {
+    var changes = [];
+
+    for (var i = 0; i < NUM_MEMBERS; i++) {
+        changes.push({
+            address: '127.0.0.1:' + (3000 + i),
+            status: i % 10 === 0 ? 'faulty' : 'alive',
+            incarnationNumber: 1414142122274
+        });
+    }
+
+    membership = new Membership(ringpop);
+    membership.update(changes);
+
+    baselineMembership = new ListMembership();
+    baselineMembership.update(changes);
+}
+
+function reportPerformance(event) {
+    console.log(event.target.toString());
+}
+
+function benchThis() {
+    membership.getRandomPingableMembers(3, ['127.0.0.1:3001']);
+}
+
+function benchBaseline() {
+    baselineMembership.getRandomPingableMembers(3, ['127.0.0.1:3001']);
+}
+
+var benchmark = new Suite();
+benchmark.add('getRandomPingableMembers() of ' + NUM_MEMBERS + ' members', benchThis)
+    .add('baseline getRandomPingableMembers() of ' + NUM_MEMBERS + ' members', benchBaseline)
+    .on('start', init)
+    .on('cycle', reportPerformance)
+    .run();
@@ -0,0 +1,75 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var _ = require('underscore');
+var farmhash = require('farmhash');
+
+// The membership list as it was before members were indexed by address, for
+// comparison in the membership benchmarks. Members are kept in an array
+// that is searched for each change, and the checksum is a hash of the
+// checksum strings of all members, recomputed after every update.
+function ListMembership() {
+    this.members = [];
+    this.checksum = null;
+}
+
+ListMembership.prototype.findMemberByAddress = function findMemberByAddress(address) {
+    return _.find(this.members, function(member) {
+        return member.address === address;
+    });
+};
+
+ListMembership.prototype.update = function update(changes) {
+    for (var i = 0; i < changes.length; i++) {
+        var change = changes[i];
+        var member = this.findMemberByAddress(change.address);
+
+        if (member) {
+            member.status = change.status;
+            member.incarnationNumber = change.incarnationNumber;
+        } else {
+            var position = Math.floor(Math.random() * this.members.length);
+            this.members.splice(position, 0, {
+                address: change.address,
+                status: change.status,
+                incarnationNumber: change.incarnationNumber
+            });
+        }
+    }
+
+    this.computeChecksum();
+};
+
+ListMembership.prototype.computeChecksum = function computeChecksum() {
+    var checksumStrings = this.members.map(function(member) {
+        return member.address + member.status + member.incarnationNumber;
+    });
+
+    this.checksum = farmhash.hash32(checksumStrings.sort().join(';'));
+};
+
+ListMembership.prototype.getRandomPingableMembers = function(n, excluding) {
+    return _.chain(this.members)
+        .reject(function(member) { return excluding.indexOf(member.address) > -1; })
+        .filter(function(member) { return member.status === 'alive' || member.status === 'suspect'; })
+        .sample(n)
+        .value();
+};
+
+module.exports = ListMembership;
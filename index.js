@@ -25,18 +25,45 @@ var TypedError = require('error/typed');
 
 var AdminJoiner = require('./lib/swim').AdminJoiner;
 var createRingPopTChannel = require('./lib/tchannel.js').createRingPopTChannel;
+var codec = require('./lib/codec');
+var createConfig = require('./lib/config').createConfig;
+var readConfig = require('./lib/config').readConfig;
+var updateConfig = require('./lib/config').updateConfig;
+var createDiscoveryProvider = require('./lib/discovery').createDiscoveryProvider;
 var Dissemination = require('./lib/members').Dissemination;
 var HashRing = require('./lib/ring');
+var Healer = require('./lib/healer');
+var Incarnation = require('./lib/incarnation');
+var LocalHealth = require('./lib/local-health');
 var Membership = require('./lib/members').Membership;
 var MemberIterator = require('./lib/members').MemberIterator;
 var nulls = require('./lib/nulls');
+var createReadinessPolicy = require('./lib/readiness').createReadinessPolicy;
 var PingReqSender = require('./lib/swim').PingReqSender;
 var PingSender = require('./lib/swim').PingSender;
+var Protocol = require('./lib/protocol');
+var BucketSyncSender = require('./lib/swim').BucketSyncSender;
 var safeParse = require('./lib/util').safeParse;
 var RequestProxy = require('./lib/request-proxy');
+var RoundTripTimes = require('./lib/round-trip-times');
+var Signer = require('./lib/signer');
+var Snapshot = require('./lib/snapshot');
+var Suspicion = require('./lib/suspicion');
+var TChannelTransport = require('./lib/transport').TChannelTransport;
+var validateLabels = require('./lib/labels').validateLabels;
 
 var IP_PATTERN = /^(\d+.\d+.\d+.\d+):\d+$/;
-var MAX_JOIN_DURATION = 300000;
+
+// Events emitted for each type of membership update
+var MEMBER_EVENTS = {
+    alive: 'memberAlive',
+    evict: 'memberEvicted',
+    faulty: 'memberFaulty',
+    leave: 'memberLeft',
+    new: 'memberAdded',
+    suspect: 'memberSuspect'
+};
+var HOSTS_FILE_WATCH_INTERVAL = 5000;
 
 var InvalidJoinAppError = TypedError({
     type: 'ringpop.invalid-join.app',
@@ -46,6 +73,14 @@ var InvalidJoinAppError = TypedError({
     actual: null
 });
 
+var JoinRejectedError = TypedError({
+    type: 'ringpop.invalid-join.rejected',
+    message: 'A node tried joining a cluster that does not admit it. The' +
+        ' joiner ({address}) was rejected: {reason}',
+    address: null,
+    reason: null
+});
+
 var InvalidJoinSourceError = TypedError({
     type: 'ringpop.invalid-join.source',
     message:  'A node tried joining a cluster by attempting to join itself.' +
@@ -53,6 +88,30 @@ var InvalidJoinSourceError = TypedError({
     actual: null
 });
 
+var InvalidLeaveLocalMemberError = TypedError({
+    type: 'ringpop.invalid-leave.local-member',
+    message: 'A node cannot leave the cluster before it has been bootstrapped.'
+});
+
+var InvalidLeaveRedundantError = TypedError({
+    type: 'ringpop.invalid-leave.redundant',
+    message: 'A node cannot leave the cluster when it has already left.' +
+        ' It must be rejoined through /admin/join first.'
+});
+
+var InvalidLeaveMemberError = TypedError({
+    type: 'ringpop.invalid-leave.member',
+    message: 'A leave was requested for a member ({address}) that is unknown' +
+        ' to this node.',
+    address: null
+});
+
+var InvalidHostsFileError = TypedError({
+    type: 'ringpop.invalid-hosts-file',
+    message: 'Bootstrap hosts file {file} does not contain a list of hosts',
+    file: null
+});
+
 function RingPop(options) {
     if (!(this instanceof RingPop)) {
         return new RingPop(options);
@@ -60,32 +119,110 @@ function RingPop(options) {
 
     this.app = options.app;
     this.hostPort = options.hostPort;
-    this.channel = options.channel;
+    // Any transport, see lib/transport.js, or a TChannel adapted to one
+    this.channel = options.channel || null;
+    this.transport = options.transport ||
+        (this.channel ? new TChannelTransport(this.channel) : null);
+    this.signer = new Signer(options.signingKeys, {
+        mode: options.signingMode,
+        maxSkew: options.maxSigningSkew
+    });
+    this.protocol = new Protocol({
+        version: options.protocolVersion,
+        minVersion: options.minProtocolVersion
+    });
+    if (options.binaryCodec) {
+        this.protocol.addCapability(codec.CAPABILITY);
+    }
+    this.protocol.addCapability(Membership.CHECKSUM_CAPABILITY);
+    this.peerProtocols = {};
     this.setLogger(options.logger || nulls.logger);
     this.statsd = options.statsd || nulls.statsd;
     this.bootstrapFile = options.bootstrapFile;
+    this.snapshotHosts = [];
+    this.discovery = options.discovery ?
+        createDiscoveryProvider(options.discovery) : null;
+    this.hostsFile = null;
+    this.watchHostsFile = !!options.watchHostsFile;
+    this.hostsFileWatchInterval = options.hostsFileWatchInterval ||
+        HOSTS_FILE_WATCH_INTERVAL;
+    this.hostsFileListener = null;
+    this.watchedHostsFile = null;
+    this.readiness = options.readiness ?
+        createReadinessPolicy(options.readiness) : null;
+    this.onReadinessMet = null;
+    this.peerChecksums = {};
+    this.isSeed = !!options.seed;
+    this.admitJoin = options.admitJoin || null;
+    this.isAdmitJoinAsync = !!options.admitJoinAsync;
+    // Times until which joiners that were rejected are kept out, by address
+    this.rejectedMembers = {};
+    this.seedJoinTimer = null;
+    this.labels = options.labels || null;
+
+    if (this.labels) {
+        var labelsErr = validateLabels(this.labels);
+        if (labelsErr) {
+            throw labelsErr;
+        }
+    }
+
+    var config = createConfig(options);
 
     this.isReady = false;
     this.isRunning = false;
 
     this.debugFlags = {};
-    this.joinSize = 3;              // join fanout
-    this.pingReqSize = 3;           // ping-req fanout
-    this.pingReqTimeout = 5000;
-    this.pingTimeout = 1500;
-    this.proxyReqTimeout = options.proxyReqTimeout || 30000;
-    this.minProtocolPeriod = 200;
+    this.joinSize = config.joinSize;        // join fanout
+    this.leaveSize = config.leaveSize;      // leave fanout
+    this.pingReqSize = config.pingReqSize;  // ping-req fanout
+    this.pingReqTimeout = config.pingReqTimeout;
+    this.pingTimeout = config.pingTimeout;
+    this.minPingTimeout = config.minPingTimeout;
+    this.maxPingTimeout = config.maxPingTimeout;
+    this.proxyReqTimeout = config.proxyReqTimeout;
+    this.minProtocolPeriod = config.minProtocolPeriod;
     this.lastProtocolPeriod = Date.now();
     this.lastProtocolRate = 0;
     this.protocolPeriods = 0;
-    this.suspectPeriod = 5000;
-    this.maxJoinDuration = options.maxJoinDuration || MAX_JOIN_DURATION;
-
+    // min suspect period once confirmed, suspect period without
+    // confirmations, and confirmations needed for the min period
+    this.suspectPeriod = config.suspectPeriod;
+    this.maxSuspectPeriod = config.maxSuspectPeriod;
+    this.suspectConfirmations = config.suspectConfirmations;
+    this.maxJoinDuration = config.maxJoinDuration;
+    this.joinTimeout = config.joinTimeout;
+    this.minJoinBackoff = config.minJoinBackoff;
+    this.maxJoinBackoff = config.maxJoinBackoff;
+    this.tombstonePeriod = config.tombstonePeriod;
+    this.discoveryInterval = config.discoveryInterval;
+    this.healInterval = config.healInterval;
+    this.snapshotInterval = config.snapshotInterval;
+
+    this.incarnation = new Incarnation({
+        file: options.incarnationFile,
+        logger: this.logger
+    });
     this.requestProxy = new RequestProxy(this);
-    this.ring = new HashRing();
+    this.snapshot = new Snapshot(this, {
+        file: options.snapshotFile,
+        interval: this.snapshotInterval
+    });
+    this.healer = new Healer(this, {
+        interval: this.healInterval,
+        healSize: options.healSize
+    });
+    this.ring = new HashRing({ replicaPoints: config.replicaPoints });
+    this.ring.on('added', this.onRingServerAdded.bind(this));
+    this.ring.on('removed', this.onRingServerRemoved.bind(this));
+    this.ringChanges = { added: [], removed: [] };
     this.dissemination = new Dissemination(this);
+    this.dissemination.piggybackFactor = config.piggybackFactor;
+    this.localHealth = new LocalHealth(this);
+    this.roundTripTimes = new RoundTripTimes(this);
     this.membership = new Membership(this);
     this.membership.on('updated', this.onMembershipUpdated.bind(this));
+    this.membership.on('suspectConfirmed', this.onSuspectConfirmed.bind(this));
     this.memberIterator = new MemberIterator(this);
 
     this.timing = new metrics.Histogram();
@@ -96,7 +233,10 @@ function RingPop(options) {
 
     this.gossipTimer = null;
     this.protocolRateTimer = null;
-    this.suspectTimers = {};
+    this.discoveryTimer = null;
+    this.hostJoiners = {};
+    this.suspicions = {};
+    this.tombstoneTimers = {};
 
     this.statHostPort = this.hostPort.replace(':', '_');
     this.statPrefix = 'ringpop.' + this.statHostPort;
@@ -126,33 +266,148 @@ RingPop.prototype.destroy = function destroy() {
         this.joiner.destroy();
     }
 
-    Object.keys(this.suspectTimers)
-        .forEach(function clearSuspect(timerKey) {
-            clearTimeout(this.suspectTimers[timerKey]);
+    Object.keys(this.hostJoiners)
+        .forEach(function destroyJoiner(address) {
+            this.hostJoiners[address].destroy();
         }, this);
 
-    if (this.channel) {
-        this.channel.quit();
+    clearTimeout(this.discoveryTimer);
+    clearTimeout(this.seedJoinTimer);
+    this.healer.stop();
+    this.onReadinessMet = null;
+    this.stopWatchingHostsFile();
+    this.snapshot.stop();
+
+    Object.keys(this.suspicions)
+        .forEach(function clearSuspect(address) {
+            this.suspicions[address].cancel();
+        }, this);
+
+    Object.keys(this.tombstoneTimers)
+        .forEach(function clearTombstone(timerKey) {
+            clearTimeout(this.tombstoneTimers[timerKey]);
+        }, this);
+
+    if (this.transport) {
+        this.transport.quit();
     }
 };
 
+// Sends a request to the endpoint of another node given by options, signed
+// if signing keys are configured.
+RingPop.prototype.send = function send(options, head, body, callback) {
+    var endpoint = options.endpoint;
+
+    if (this.signer.isSigned(endpoint)) {
+        var signed = this.signer.sign(endpoint, head, body);
+        head = signed.head;
+        body = signed.body;
+    }
+
+    this.transport.send(options, head, body, callback);
+};
+
+RingPop.prototype.setSigningKeys = function setSigningKeys(keys) {
+    this.signer.setKeys(keys);
+};
+
 RingPop.prototype.setupChannel = function setupChannel() {
-    createRingPopTChannel(this, this.channel);
+    createRingPopTChannel(this, this.transport);
 };
 
 RingPop.prototype.adminJoin = function adminJoin(target, callback) {
+    if (typeof target === 'function') {
+        callback = target;
+        target = null;
+    }
+
     if (this.joiner) {
         this.joiner.destroy();
         this.joiner = null;
     }
 
+    var self = this;
+    var localMember = this.membership.localMember;
+    var isRejoin = !!localMember && localMember.status === 'leave';
+
+    // A node that has left the cluster rejoins with a higher incarnation
+    // number so that its aliveness overrides the leave everywhere.
+    if (isRejoin) {
+        this.membership.update([{
+            address: localMember.address,
+            status: 'alive',
+            incarnationNumber: this.incarnation.next(localMember.incarnationNumber)
+        }]);
+    }
+
     this.joiner = new AdminJoiner({
         ringpop: this,
         target: target,
-        callback: callback,
+        callback: onJoin,
         maxJoinDuration: this.maxJoinDuration
     });
     this.joiner.sendJoin();
+
+    function onJoin(err) {
+        if (!err && isRejoin && self.isReady) {
+            self.startProtocolPeriod();
+        }
+
+        if (callback) {
+            callback.apply(null, arguments);
+        }
+    }
+};
+
+RingPop.prototype.adminLeave = function adminLeave(callback) {
+    var localMember = this.membership.localMember;
+
+    if (!localMember) {
+        return callback(InvalidLeaveLocalMemberError());
+    }
+
+    if (localMember.status === 'leave') {
+        return callback(InvalidLeaveRedundantError());
+    }
+
+    this.membership.update([{
+        address: localMember.address,
+        status: 'leave',
+        incarnationNumber: localMember.incarnationNumber
+    }]);
+
+    this.sendLeave(callback);
+};
+
+// A node that has left stops pinging others, which would otherwise only learn
+// of the leave once they ping it, and suspect it if it is gone by then. The
+// leave is pinged to leaveSize members before the node is done leaving.
+RingPop.prototype.sendLeave = function sendLeave(callback) {
+    var self = this;
+    var members = this.membership.getRandomPingableMembers(this.leaveSize, []);
+    var numPending = members.length;
+    var numAcknowledged = 0;
+
+    if (numPending === 0) {
+        return callback();
+    }
+
+    members.forEach(function pingLeave(member) {
+        self.sendPing(member, function onPing(isOk) {
+            if (isOk) {
+                numAcknowledged++;
+            }
+
+            if (--numPending === 0) {
+                self.logger.info('ringpop has left', {
+                    address: self.whoami(),
+                    numAcknowledged: numAcknowledged,
+                    numPinged: members.length
+                });
+                callback();
+            }
+        });
+    });
 };
 
 RingPop.prototype.bootstrap = function bootstrap(bootstrapFile, callback) {
@@ -172,9 +427,42 @@ RingPop.prototype.bootstrap = function bootstrap(bootstrapFile, callback) {
 
     var start = new Date();
 
-    this.seedBootstrapHosts(bootstrapFile);
+    this.discoverBootstrapHosts(bootstrapFile, function onDiscovered() {
+        self.bootstrapFromHosts(start, callback);
+    });
+};
+
+RingPop.prototype.bootstrapFromHosts = function bootstrapFromHosts(start, callback) {
+    var self = this;
+
+    if (this.destroyed) {
+        var destroyedMsg = 'ringpop was destroyed during bootstrap';
+        this.logger.error(destroyedMsg, { address: this.hostPort });
+        if (callback) callback(new Error(destroyedMsg));
+        return;
+    }
+
+    var snapshotMembers = this.snapshot.read();
+    if (snapshotMembers) {
+        this.addSnapshotHosts(snapshotMembers);
+    }
+
+    var hasBootstrapHosts = Array.isArray(this.bootstrapHosts) &&
+        this.bootstrapHosts.length > 0;
 
-    if (!Array.isArray(this.bootstrapHosts) || this.bootstrapHosts.length === 0) {
+    // A seed may be the first node of a cluster and is its own bootstrap host
+    if (this.isSeed && !hasBootstrapHosts) {
+        this.bootstrapHosts = [this.hostPort];
+        hasBootstrapHosts = true;
+    }
+
+    // The hosts of a snapshot stand in for a hosts file that is missing
+    if (!hasBootstrapHosts && this.snapshotHosts.length > 0) {
+        this.bootstrapHosts = [];
+        hasBootstrapHosts = true;
+    }
+
+    if (!hasBootstrapHosts) {
         var noBootstrapMsg = 'ringpop cannot be bootstrapped without bootstrap hosts.' +
             ' make sure you specify a valid bootstrap hosts file to the ringpop' +
             ' constructor or have a valid hosts.json file in the current working' +
@@ -188,9 +476,24 @@ RingPop.prototype.bootstrap = function bootstrap(bootstrapFile, callback) {
     this.checkForHostnameIpMismatch();
 
     // Add local member
-    this.membership.addMember({ address: this.hostPort });
+    this.membership.addMember({
+        address: this.hostPort,
+        incarnationNumber: this.incarnation.next(),
+        labels: this.labels
+    });
+
+    // A seed forms a cluster of its own right away, and joins the other
+    // bootstrap hosts once they come up.
+    if (this.isSeed) {
+        process.nextTick(function onTick() {
+            self.joinInBackground();
+            onJoin(null, { joined: [], failed: {} });
+        });
+    } else {
+        this.adminJoin(onJoin);
+    }
 
-    this.adminJoin(function(err) {
+    function onJoin(err, result) {
         if (err) {
             self.logger.error('ringpop bootstrap failed', {
                 err: err.message,
@@ -210,19 +513,122 @@ RingPop.prototype.bootstrap = function bootstrap(bootstrapFile, callback) {
             return;
         }
 
-        self.logger.info('ringpop is ready', {
+        self.startProtocolPeriod();
+        self.startProtocolRateTimer();
+        self.snapshot.start();
+        self.healer.start();
+        self.startDiscoveryPolling();
+        self.startWatchingHostsFile();
+
+        // Gossip goes on while the readiness policy is not yet met
+        self.waitForReadiness(function onReady() {
+            self.logger.info('ringpop is ready', {
+                address: self.hostPort,
+                bootstrapTime: new Date() - start,
+                joined: result.joined,
+                memberCount: self.membership.getMemberCount()
+            });
+
+            self.isReady = true;
+            self.emit('ready');
+
+            if (callback) callback();
+        });
+    }
+};
+
+// Keeps trying to join the bootstrap hosts until any of them is joined.
+// Attempts that fail, including those made while there are no other
+// bootstrap hosts yet, are retried after maxJoinBackoff.
+RingPop.prototype.joinInBackground = function joinInBackground() {
+    var self = this;
+    var localMember = this.membership.localMember;
+
+    if (this.destroyed || !localMember || localMember.status === 'leave') {
+        return;
+    }
+
+    this.adminJoin(function onJoin(err, result) {
+        if (self.destroyed) {
+            return;
+        }
+
+        if (err) {
+            self.logger.info('seed could not join cluster and will retry', {
+                address: self.hostPort,
+                err: err.message,
+                retryIn: self.maxJoinBackoff
+            });
+            self.seedJoinTimer = setTimeout(function onTimeout() {
+                self.seedJoinTimer = null;
+                self.joinInBackground();
+            }, self.maxJoinBackoff);
+            return;
+        }
+
+        self.logger.info('seed joined cluster', {
             address: self.hostPort,
-            bootstrapTime: new Date() - start,
-            memberCount: self.membership.getMemberCount()
+            joined: result.joined
         });
+    });
+};
 
-        self.startProtocolPeriod();
-        self.startProtocolRateTimer();
+RingPop.prototype.waitForReadiness = function waitForReadiness(callback) {
+    if (!this.readiness || this.readiness.isMet(this)) {
+        return callback();
+    }
+
+    this.logger.info('ringpop is waiting for readiness policy to be met', {
+        address: this.hostPort,
+        policy: this.readiness.name
+    });
+
+    this.onReadinessMet = callback;
+};
+
+RingPop.prototype.checkReadiness = function checkReadiness() {
+    if (!this.onReadinessMet || !this.readiness.isMet(this)) {
+        return;
+    }
 
-        self.isReady = true;
-        self.emit('ready');
+    var onReadinessMet = this.onReadinessMet;
+    this.onReadinessMet = null;
+    onReadinessMet();
+};
+
+// The membership checksum last reported by a peer, either in a ping or in a
+// response to one, along with its format.
+RingPop.prototype.recordPeerChecksum = function recordPeerChecksum(address, checksum, format) {
+    if (!address || typeof checksum === 'undefined') {
+        return;
+    }
+
+    this.peerChecksums[address] = {
+        checksum: checksum,
+        format: format || Membership.LEGACY_CHECKSUM
+    };
+    this.checkReadiness();
+};
 
-        if (callback) callback();
+// The members of a snapshot are only joined, along with the bootstrap hosts.
+// They are neither members nor bootstrap hosts of their own, so a stale
+// snapshot can neither satisfy readiness nor revive members that have since
+// left or been declared faulty. Members are learned from the peers joined.
+RingPop.prototype.addSnapshotHosts = function addSnapshotHosts(members) {
+    var bootstrapHosts = Array.isArray(this.bootstrapHosts) ? this.bootstrapHosts : [];
+    var snapshotHosts = this.snapshotHosts;
+
+    members.forEach(function addHost(member) {
+        if (bootstrapHosts.indexOf(member.address) === -1 &&
+            snapshotHosts.indexOf(member.address) === -1) {
+            snapshotHosts.push(member.address);
+        }
+    });
+
+    this.logger.info('added membership snapshot to join candidates', {
+        address: this.hostPort,
+        numSnapshotHosts: snapshotHosts.length,
+        numSnapshotMembers: members.length
     });
 };
 
@@ -300,19 +706,47 @@ RingPop.prototype.getStats = function getStats() {
         protocol: {
             timing: this.timing.printObj(),
             protocolRate: this.protocolRate(),
+            localHealthMultiplier: this.localHealth.getMultiplier(),
             clientRate: this.clientRate.printObj().m1,
             serverRate: this.serverRate.printObj().m1,
             totalRate: this.totalRate.printObj().m1
         },
-        ring: Object.keys(this.ring.servers)
+        ring: Object.keys(this.ring.servers),
+        roundTripTimes: this.roundTripTimes.getStats()
     };
 };
 
+RingPop.prototype.getConfig = function getConfig() {
+    return readConfig(this);
+};
+
+// Changes tunable settings on a running node. Calls back with the resulting
+// configuration, or with an error if any change is invalid, in which case
+// none are applied.
+RingPop.prototype.setConfig = function setConfig(changes, callback) {
+    var err = updateConfig(this, changes);
+    if (err) {
+        return callback(err);
+    }
+
+    if (changes.piggybackFactor !== undefined) {
+        this.dissemination.adjustMaxPiggybackCount();
+    }
+
+    this.logger.info('ringpop config changed', {
+        address: this.whoami(),
+        changes: changes
+    });
+    this.emit('configChanged', changes);
+
+    callback(null, this.getConfig());
+};
+
 RingPop.prototype.gossip = function gossip() {
     var self = this;
     var start = new Date();
 
-    if (this.destroyed) {
+    if (this.destroyed || !this.isRunning) {
         return;
     }
 
@@ -324,6 +758,13 @@ RingPop.prototype.gossip = function gossip() {
     var protocolDelay = this.computeProtocolDelay();
     this.stat('timing', 'protocol.delay', protocolDelay);
     this.gossipTimer = setTimeout(function () {
+        // A protocol period that starts late by more than a minimum protocol
+        // period is a sign that the local process is paused or overloaded.
+        var lateness = new Date() - start - protocolDelay;
+        if (lateness > self.minProtocolPeriod) {
+            self.localHealth.onFailure('protocol-period-overrun');
+        }
+
         self.pingMemberNow(callback);
     }, protocolDelay);
 };
@@ -348,22 +789,144 @@ RingPop.prototype.protocolJoin = function protocolJoin(options, callback) {
         return callback(InvalidJoinAppError({ expected: this.app, actual: joinerApp }));
     }
 
+    if (this.protocol.negotiate(options.protocol) === null) {
+        return callback(this.protocol.createIncompatibleError(options.protocol));
+    }
+
+    var labelsErr = options.labels ? validateLabels(options.labels) : null;
+    if (labelsErr) {
+        return callback(labelsErr);
+    }
+
     this.serverRate.mark();
     this.totalRate.mark();
 
-    this.membership.addMember({
+    var self = this;
+    var joiner = {
         address: joinerAddress,
-        incarnationNumber: options.incarnationNumber
+        incarnationNumber: options.incarnationNumber,
+        labels: options.labels
+    };
+
+    this.admit(joiner, function onAdmit(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        self.recordPeerProtocol(joinerAddress, options.protocol);
+
+        // An update, rather than an add, so that a member that has previously
+        // left or been declared faulty is revived when it joins again.
+        self.membership.update([{
+            address: joinerAddress,
+            status: 'alive',
+            incarnationNumber: options.incarnationNumber,
+            labels: options.labels
+        }]);
+
+        callback(null, {
+            app: self.app,
+            coordinator: self.whoami(),
+            membership: self.membership.getState(),
+            protocol: self.protocol.describe()
+        });
     });
+};
 
-    callback(null, {
-        app: this.app,
-        coordinator: this.whoami(),
-        membership: this.membership.getState()
+// Runs the admission hook, if any, on a joiner. The hook returns false or an
+// error to reject the joiner. A hook given along with admitJoinAsync is
+// called as function(joiner, callback) instead, and calls back with an
+// error, or with false, to do the same.
+RingPop.prototype.admit = function admit(joiner, callback) {
+    var self = this;
+
+    if (!this.admitJoin) {
+        return callback();
+    }
+
+    if (this.isAdmitJoinAsync) {
+        this.admitJoin(joiner, onAdmit);
+    } else {
+        var isAdmitted = this.admitJoin(joiner);
+        onAdmit(isAdmitted instanceof Error ? isAdmitted : null, isAdmitted);
+    }
+
+    function onAdmit(err, isAdmitted) {
+        if (!err && isAdmitted !== false) {
+            delete self.rejectedMembers[joiner.address];
+            return callback();
+        }
+
+        var reason = err ? err.message : 'not admitted';
+
+        self.pruneRejectedMembers();
+        self.rejectedMembers[joiner.address] = Date.now() + self.tombstonePeriod;
+        self.stat('increment', 'join.rejected');
+        self.logger.warn('rejected join', {
+            address: self.hostPort,
+            joiner: joiner.address,
+            reason: reason
+        });
+
+        callback(JoinRejectedError({ address: joiner.address, reason: reason }));
+    }
+};
+
+// Whether a member that is new to the membership must be kept out of it.
+// That is the case for members whose join was rejected within the last
+// tombstone period, and for members that a synchronous admission hook
+// rejects.
+RingPop.prototype.isRejected = function isRejected(member) {
+    var rejectedUntil = this.rejectedMembers[member.address];
+    if (rejectedUntil) {
+        if (rejectedUntil > Date.now()) {
+            return true;
+        }
+
+        delete this.rejectedMembers[member.address];
+    }
+
+    if (!this.admitJoin || this.isAdmitJoinAsync ||
+        member.address === this.hostPort) {
+        return false;
+    }
+
+    var isAdmitted = this.admitJoin({
+        address: member.address,
+        incarnationNumber: member.incarnationNumber,
+        labels: member.labels
     });
+
+    return isAdmitted === false || isAdmitted instanceof Error;
+};
+
+RingPop.prototype.pruneRejectedMembers = function pruneRejectedMembers() {
+    var now = Date.now();
+
+    Object.keys(this.rejectedMembers).forEach(function pruneRejected(address) {
+        if (this.rejectedMembers[address] <= now) {
+            delete this.rejectedMembers[address];
+        }
+    }, this);
 };
 
-RingPop.prototype.protocolLeave = function protocolLeave(node, callback) {
+RingPop.prototype.protocolLeave = function protocolLeave(options, callback) {
+    this.stat('increment', 'leave.recv');
+
+    var member = this.membership.findMemberByAddress(options.node);
+    if (!member) {
+        return callback(InvalidLeaveMemberError({ address: options.node }));
+    }
+
+    this.serverRate.mark();
+    this.totalRate.mark();
+
+    this.membership.update([{
+        address: member.address,
+        status: 'leave',
+        incarnationNumber: member.incarnationNumber
+    }]);
+
     callback();
 };
 
@@ -373,14 +936,55 @@ RingPop.prototype.protocolPing = function protocolPing(options, callback) {
     var source = options.source;
     var changes = options.changes;
     var checksum = options.checksum;
+    var checksumFormat = options.checksumFormat;
+
+    if (!Array.isArray(changes)) {
+        return callback(new Error('invalid changes from ' + source));
+    }
 
     this.serverRate.mark();
     this.totalRate.mark();
 
     this.membership.update(changes);
+    this.recordPeerChecksum(source, checksum, checksumFormat);
+    this.recordPeerProtocol(source, options.protocol);
+
+    var responseChanges = this.issueMembershipChanges(checksum, source,
+        options.bucketCount, checksumFormat);
+    this.dissemination.acknowledgeChanges(responseChanges);
+
+    var response = {
+        changes: responseChanges,
+        checksum: this.membership.getChecksum(checksumFormat),
+        checksumFormat: checksumFormat,
+        protocol: this.protocol.describe()
+    };
+
+    // Nothing left to disseminate, but memberships differ. The pinging node
+    // is sent the checksum of each bucket to reconcile those that differ.
+    if (responseChanges.length === 0 && checksum &&
+        checksumFormat === Membership.INCREMENTAL_CHECKSUM &&
+        checksum !== this.membership.checksum && this.canBucketSync(source)) {
+        response.bucketChecksums = this.membership.getBucketChecksums();
+    }
+
+    callback(null, response);
+};
+
+RingPop.prototype.protocolCapabilities = function protocolCapabilities(callback) {
+    callback(null, { protocol: this.protocol.describe() });
+};
+
+RingPop.prototype.protocolSync = function protocolSync(options, callback) {
+    this.stat('increment', 'bucket-sync.recv');
+
+    this.serverRate.mark();
+    this.totalRate.mark();
+
+    this.membership.update(options.members);
 
     callback(null, {
-        changes: this.issueMembershipChanges(checksum, source)
+        members: this.membership.getStateOfBuckets(options.buckets)
     });
 };
 
@@ -392,6 +996,10 @@ RingPop.prototype.protocolPingReq = function protocolPingReq(options, callback)
     var changes = options.changes;
     var checksum = options.checksum;
 
+    if (!Array.isArray(changes)) {
+        return callback(new Error('invalid changes from ' + source));
+    }
+
     this.serverRate.mark();
     this.totalRate.mark();
     this.membership.update(changes);
@@ -405,8 +1013,13 @@ RingPop.prototype.protocolPingReq = function protocolPingReq(options, callback)
         if (isOk) {
             self.membership.update(body.changes);
         }
+
+        var responseChanges = self.issueMembershipChanges(checksum, source,
+            null, options.checksumFormat);
+        self.dissemination.acknowledgeChanges(responseChanges);
+
         callback(null, {
-            changes: self.issueMembershipChanges(checksum, source),
+            changes: responseChanges,
             pingStatus: isOk,
             target: target
         });
@@ -425,10 +1038,108 @@ RingPop.prototype.lookup = function lookup(key) {
     return dest;
 };
 
+// Rereads the bootstrap hosts file, and joins the hosts that were added to it
+// since it was last read. Hosts that were removed from it remain members
+// until the cluster finds them to be faulty.
 RingPop.prototype.reload = function reload(file, callback) {
-    this.seedBootstrapHosts(file);
+    if (typeof file === 'function') {
+        callback = file;
+        file = null;
+    }
 
-    callback();
+    var self = this;
+    var hostsFile = file || this.hostsFile || this.bootstrapFile;
+    var hosts = this.readHostsFile(hostsFile);
+
+    if (!Array.isArray(hosts)) {
+        process.nextTick(function onTick() {
+            callback(InvalidHostsFileError({ file: hostsFile }));
+        });
+        return;
+    }
+
+    var prevHosts = Array.isArray(this.bootstrapHosts) ? this.bootstrapHosts : [];
+    var added = hosts.filter(function isAdded(host) {
+        return prevHosts.indexOf(host) === -1;
+    });
+    var removed = prevHosts.filter(function isRemoved(host) {
+        return hosts.indexOf(host) === -1;
+    });
+
+    this.bootstrapHosts = hosts;
+    this.hostsFile = hostsFile;
+
+    if (removed.length > 0) {
+        this.logger.warn('hosts were removed from bootstrap hosts file', {
+            address: this.hostPort,
+            file: hostsFile,
+            removed: removed
+        });
+    }
+
+    this.joinNewHosts(added, function onJoin(err, joinResult) {
+        var result = {
+            file: hostsFile,
+            added: added,
+            removed: removed,
+            joined: joinResult.joined,
+            failed: joinResult.failed
+        };
+
+        self.logger.info('reloaded bootstrap hosts file', {
+            address: self.hostPort,
+            file: hostsFile,
+            added: added,
+            removed: removed,
+            joined: result.joined,
+            failed: result.failed
+        });
+
+        self.emit('hostsReloaded', result);
+        callback(null, result);
+    });
+};
+
+RingPop.prototype.startWatchingHostsFile = function startWatchingHostsFile() {
+    if (!this.watchHostsFile || !this.hostsFile || this.hostsFileListener) {
+        return;
+    }
+
+    var self = this;
+    var file = this.hostsFile;
+
+    this.hostsFileListener = function onChange(curr, prev) {
+        if (curr.mtime.getTime() === prev.mtime.getTime()) {
+            return;
+        }
+
+        self.reload(file, function onReload(err) {
+            if (err) {
+                self.logger.warn('failed to reload changed bootstrap hosts file', {
+                    address: self.hostPort,
+                    err: err.message,
+                    file: file
+                });
+            }
+        });
+    };
+
+    // Remembered apart from hostsFile, which a reload of another file changes.
+    this.watchedHostsFile = file;
+    fs.watchFile(file, {
+        persistent: false,
+        interval: this.hostsFileWatchInterval
+    }, this.hostsFileListener);
+};
+
+RingPop.prototype.stopWatchingHostsFile = function stopWatchingHostsFile() {
+    if (!this.hostsFileListener) {
+        return;
+    }
+
+    fs.unwatchFile(this.watchedHostsFile, this.hostsFileListener);
+    this.hostsFileListener = null;
+    this.watchedHostsFile = null;
 };
 
 RingPop.prototype.whoami = function whoami() {
@@ -436,8 +1147,19 @@ RingPop.prototype.whoami = function whoami() {
 };
 
 RingPop.prototype.clearSuspectTimeout = function clearSuspectTimeout(member) {
-    this.logger.debug('canceled suspect period member=' + member.address);
-    clearTimeout(this.suspectTimers[member.address]);
+    if (this.suspicions[member.address]) {
+        this.logger.debug('canceled suspect period member=' + member.address);
+        this.suspicions[member.address].cancel();
+        delete this.suspicions[member.address];
+    }
+};
+
+RingPop.prototype.clearTombstoneTimeout = function clearTombstoneTimeout(member) {
+    if (this.tombstoneTimers[member.address]) {
+        this.logger.debug('canceled tombstone period member=' + member.address);
+        clearTimeout(this.tombstoneTimers[member.address]);
+        delete this.tombstoneTimers[member.address];
+    }
 };
 
 RingPop.prototype.computeProtocolDelay = function computeProtocolDelay() {
@@ -450,8 +1172,8 @@ RingPop.prototype.computeProtocolDelay = function computeProtocolDelay() {
     }
 };
 
-RingPop.prototype.issueMembershipChanges = function issueMembershipChanges(checksum, source) {
-    return this.dissemination.getChanges(checksum, source);
+RingPop.prototype.issueMembershipChanges = function issueMembershipChanges(checksum, source, bucketCount, checksumFormat) {
+    return this.dissemination.getChanges(checksum, source, bucketCount, checksumFormat);
 };
 
 RingPop.prototype.onMembershipUpdated = function onMembershipUpdated(updates) {
@@ -466,11 +1188,13 @@ RingPop.prototype.onMembershipUpdated = function onMembershipUpdated(updates) {
                 alive: member.address
             });
             self.clearSuspectTimeout(member);
+            self.clearTombstoneTimeout(member);
             self.ring.addServer(member.address);
             self.dissemination.addChange({
                 address: member.address,
                 status: member.status,
                 incarnationNumber: member.incarnationNumber,
+                labels: member.labels,
                 piggybackCount: 0
             });
         },
@@ -482,36 +1206,81 @@ RingPop.prototype.onMembershipUpdated = function onMembershipUpdated(updates) {
                 faulty: member.address
             });
             self.clearSuspectTimeout(member);
+            self.startTombstonePeriod(member);
             self.ring.removeServer(member.address);
             self.dissemination.addChange({
                 address: member.address,
                 status: member.status,
                 incarnationNumber: member.incarnationNumber,
+                labels: member.labels,
                 piggybackCount: 0
             });
         },
+        'evict': function onEvictMember(member) {
+            self.stat('increment', 'membership-update.evict');
+            delete self.peerChecksums[member.address];
+            delete self.peerProtocols[member.address];
+            self.roundTripTimes.remove(member.address);
+            self.ring.removeServer(member.address);
+            self.logger.info('member is evicted', {
+                local: self.membership.localMember.address,
+                evicted: member.address
+            });
+        },
         'new': function onNewMember(member) {
             /* jshint camelcase: false */
             self.stat('increment', 'membership-update.new');
-            self.ring.addServer(member.address);
+            if (member.status === 'faulty' || member.status === 'leave') {
+                self.startTombstonePeriod(member);
+            }
+            if (member.status === 'alive' || member.status === 'suspect') {
+                self.ring.addServer(member.address);
+            }
             self.dissemination.addChange({
                 address: member.address,
                 status: member.status,
                 incarnationNumber: member.incarnationNumber,
+                labels: member.labels,
                 piggybackCount: 0
             });
         },
+        'leave': function onLeaveMember(member) {
+            self.stat('increment', 'membership-update.leave');
+            self.logger.info('member has left', {
+                local: self.membership.localMember.address,
+                leave: member.address
+            });
+            self.clearSuspectTimeout(member);
+            self.startTombstonePeriod(member);
+            self.ring.removeServer(member.address);
+            self.dissemination.addChange({
+                address: member.address,
+                status: member.status,
+                incarnationNumber: member.incarnationNumber,
+                labels: member.labels,
+                piggybackCount: 0
+            });
+
+            // A node that has left stops pinging others. It still answers
+            // pings so that the leave is disseminated through its responses.
+            if (member.isLocal) {
+                self.stopProtocolPeriod();
+            }
+        },
         'suspect': function onSuspectMember(member) {
             self.stat('increment', 'membership-update.suspect');
             self.logger.warn('member is suspect', {
                 local: self.membership.localMember.address,
                 suspect: member.address
             });
+            self.clearTombstoneTimeout(member);
             self.startSuspectPeriod(member);
             self.dissemination.addChange({
                 address: member.address,
                 status: member.status,
                 incarnationNumber: member.incarnationNumber,
+                labels: member.labels,
+                source: member.source,
                 piggybackCount: 0
             });
         }
@@ -523,16 +1292,51 @@ RingPop.prototype.onMembershipUpdated = function onMembershipUpdated(updates) {
         if (handler) {
             handler(update);
         }
+
+        if (MEMBER_EVENTS[update.type]) {
+            self.emit(MEMBER_EVENTS[update.type], {
+                address: update.address,
+                prevStatus: update.prevStatus,
+                status: update.status,
+                prevIncarnationNumber: update.prevIncarnationNumber,
+                incarnationNumber: update.incarnationNumber,
+                labels: update.labels
+            });
+        }
     });
 
+    this.emitRingChanged();
+
     if (updates.length > 0) {
         this.emit('changed');
+        this.checkReadiness();
     }
 
-    this.stat('gauge', 'num-members', this.membership.members.length);
+    this.stat('gauge', 'num-members', this.membership.getMemberCount());
     this.stat('timing', 'updates', updates.length);
 };
 
+RingPop.prototype.onRingServerAdded = function onRingServerAdded(server) {
+    this.ringChanges.added.push(server);
+};
+
+RingPop.prototype.onRingServerRemoved = function onRingServerRemoved(server) {
+    this.ringChanges.removed.push(server);
+};
+
+// Servers added to and removed from the ring while a batch of membership
+// updates is applied are reported together, once the batch is done.
+RingPop.prototype.emitRingChanged = function emitRingChanged() {
+    var changes = this.ringChanges;
+
+    if (changes.added.length === 0 && changes.removed.length === 0) {
+        return;
+    }
+
+    this.ringChanges = { added: [], removed: [] };
+    this.emit('ringChanged', changes);
+};
+
 RingPop.prototype.pingMemberNow = function pingMemberNow(callback) {
     callback = callback || function() {};
 
@@ -541,7 +1345,7 @@ RingPop.prototype.pingMemberNow = function pingMemberNow(callback) {
         return callback();
     }
 
-    if (!this.isReady) {
+    if (!this.membership.localMember) {
         this.logger.warn('ping started before ring initialized');
         return callback();
     }
@@ -563,6 +1367,7 @@ RingPop.prototype.pingMemberNow = function pingMemberNow(callback) {
         self.stat('timing', 'ping', start);
         if (isOk) {
             self.isPinging = false;
+            self.localHealth.onSuccess();
             self.membership.update(body.changes);
             return callback();
         }
@@ -604,11 +1409,219 @@ RingPop.prototype.readHostsFile = function readHostsFile(file) {
 RingPop.prototype.seedBootstrapHosts = function seedBootstrapHosts(file) {
     if (Array.isArray(file)) {
         this.bootstrapHosts = file;
-    } else {
-        this.bootstrapHosts = this.readHostsFile(file) ||
-            this.readHostsFile(this.bootstrapFile) ||
-            this.readHostsFile('./hosts.json');
+        return;
+    }
+
+    var hostsFiles = [file, this.bootstrapFile, './hosts.json'];
+
+    for (var i = 0; i < hostsFiles.length; i++) {
+        this.bootstrapHosts = this.readHostsFile(hostsFiles[i]);
+
+        if (this.bootstrapHosts) {
+            this.hostsFile = hostsFiles[i];
+            return;
+        }
+    }
+};
+
+// Hosts given to bootstrap take precedence over the discovery provider. When
+// there is neither, the hosts file is read as before.
+RingPop.prototype.discoverBootstrapHosts = function discoverBootstrapHosts(file, callback) {
+    var self = this;
+
+    if (file || !this.discovery) {
+        this.seedBootstrapHosts(file);
+        process.nextTick(callback);
+        return;
+    }
+
+    this.discovery.discover(function onDiscover(err, hosts) {
+        if (err) {
+            self.stat('increment', 'discovery.failed');
+            self.logger.warn('failed to discover bootstrap hosts', {
+                address: self.hostPort,
+                err: err.message
+            });
+        }
+
+        self.bootstrapHosts = hosts || [];
+        callback();
+    });
+};
+
+// The protocol version negotiated with a peer, and the capabilities it
+// advertised, as learnt from its last join, ping or response to either.
+RingPop.prototype.recordPeerProtocol = function recordPeerProtocol(address, protocol) {
+    var version = this.protocol.negotiate(protocol);
+
+    if (!address || version === null) {
+        return;
+    }
+
+    this.peerProtocols[address] = {
+        version: version,
+        capabilities: protocol && Array.isArray(protocol.capabilities) ?
+            protocol.capabilities : []
+    };
+};
+
+RingPop.prototype.getPeerProtocol = function getPeerProtocol(address) {
+    return this.peerProtocols[address] || null;
+};
+
+RingPop.prototype.peerHasCapability = function peerHasCapability(address, capability) {
+    var peerProtocol = this.peerProtocols[address];
+
+    return !!peerProtocol && peerProtocol.capabilities.indexOf(capability) > -1;
+};
+
+// Changes and membership are sent to a peer in the binary codec only if both
+// sides advertise it. All other peers are sent JSON.
+RingPop.prototype.getCodec = function getCodec(address) {
+    if (this.protocol.hasCapability(codec.CAPABILITY) &&
+        this.peerHasCapability(address, codec.CAPABILITY)) {
+        return codec.BINARY_CODEC;
     }
+
+    return codec.JSON_CODEC;
+};
+
+// Memberships are reconciled bucket by bucket with a peer only if both sides
+// advertise it. All other peers are sent a full sync.
+RingPop.prototype.canBucketSync = function canBucketSync(address) {
+    return this.protocol.hasCapability(Protocol.BUCKET_SYNC) &&
+        this.peerHasCapability(address, Protocol.BUCKET_SYNC);
+};
+
+// Peers are sent the incremental checksum only if both sides advertise it.
+// All other peers are sent the checksum in the format of older nodes.
+RingPop.prototype.getChecksumFormat = function getChecksumFormat(address) {
+    if (this.protocol.hasCapability(Membership.CHECKSUM_CAPABILITY) &&
+        this.peerHasCapability(address, Membership.CHECKSUM_CAPABILITY)) {
+        return Membership.INCREMENTAL_CHECKSUM;
+    }
+
+    return Membership.LEGACY_CHECKSUM;
+};
+
+// Asks a peer which protocol versions and capabilities it supports
+RingPop.prototype.requestCapabilities = function requestCapabilities(address, callback) {
+    var self = this;
+    var options = {
+        host: address,
+        timeout: this.roundTripTimes.getPingTimeout(address),
+        endpoint: '/protocol/capabilities'
+    };
+
+    this.send(options, null, { source: this.whoami() }, function onCapabilities(err, res1, res2) {
+        if (err) {
+            return callback(err);
+        }
+
+        var bodyObj = safeParse(res2.toString());
+        if (!bodyObj || !bodyObj.protocol) {
+            return callback(new Error('bad response body from ' + address));
+        }
+
+        self.recordPeerProtocol(address, bodyObj.protocol);
+        callback(null, bodyObj.protocol);
+    });
+};
+
+RingPop.prototype.startDiscoveryPolling = function startDiscoveryPolling() {
+    if (this.destroyed || !this.discovery || this.discoveryTimer) {
+        return;
+    }
+
+    var self = this;
+
+    this.discoveryTimer = setTimeout(function onTimeout() {
+        self.pollDiscovery(function onPoll() {
+            self.discoveryTimer = null;
+            self.startDiscoveryPolling();
+        });
+    }, this.discoveryInterval);
+};
+
+// Re-polls the discovery provider and joins hosts that it discovered since
+// bootstrap, or since the last poll, and that are not yet members.
+RingPop.prototype.pollDiscovery = function pollDiscovery(callback) {
+    var self = this;
+
+    this.discovery.discover(function onDiscover(err, hosts) {
+        if (self.destroyed) {
+            return callback(new Error('destroyed whilst polling discovery'));
+        }
+
+        if (err) {
+            self.stat('increment', 'discovery.failed');
+            self.logger.warn('failed to discover bootstrap hosts', {
+                address: self.hostPort,
+                err: err.message
+            });
+            return callback(err);
+        }
+
+        self.bootstrapHosts = hosts;
+        self.joinNewHosts(hosts, callback);
+    });
+};
+
+// Joins each of the hosts that is not yet a member. Calls back with the
+// hosts that were and were not joined.
+RingPop.prototype.joinNewHosts = function joinNewHosts(hosts, callback) {
+    var self = this;
+    var result = { joined: [], failed: [] };
+    var localMember = this.membership.localMember;
+
+    // Hosts are only joined by a running node. A node that left stays out
+    // until it is rejoined explicitly.
+    if (!this.isReady || !localMember || localMember.status === 'leave') {
+        hosts = [];
+    }
+
+    var newHosts = hosts.filter(function isNew(host) {
+        return host !== self.hostPort &&
+            !self.membership.findMemberByAddress(host) &&
+            !self.hostJoiners[host];
+    });
+    var numPending = newHosts.length;
+
+    if (numPending === 0) {
+        process.nextTick(function onTick() {
+            callback(null, result);
+        });
+        return;
+    }
+
+    this.logger.info('joining newly discovered hosts', {
+        address: this.hostPort,
+        hosts: newHosts
+    });
+
+    newHosts.forEach(function joinHost(host) {
+        self.hostJoiners[host] = new AdminJoiner({
+            ringpop: self,
+            target: host,
+            callback: onJoin,
+            maxJoinDuration: self.maxJoinDuration
+        });
+        self.hostJoiners[host].sendJoin();
+
+        function onJoin(err) {
+            delete self.hostJoiners[host];
+
+            if (err) {
+                result.failed.push(host);
+            } else {
+                result.joined.push(host);
+            }
+
+            if (--numPending === 0) {
+                callback(null, result);
+            }
+        }
+    });
 };
 
 RingPop.prototype.sendPing = function sendPing(member, callback) {
@@ -616,6 +1629,19 @@ RingPop.prototype.sendPing = function sendPing(member, callback) {
     return new PingSender(this, member, callback);
 };
 
+RingPop.prototype.sendBucketSync = function sendBucketSync(address, remoteBucketChecksums) {
+    var buckets = this.membership.findDifferentBuckets(remoteBucketChecksums);
+
+    this.stat('gauge', 'bucket-sync.buckets', buckets.length);
+
+    if (buckets.length === 0) {
+        return;
+    }
+
+    this.stat('increment', 'bucket-sync.send');
+    return new BucketSyncSender(this, address, buckets);
+};
+
 // TODO Exclude suspect memebers from ping-req as well?
 RingPop.prototype.sendPingReq = function sendPingReq(unreachableMember, callback) {
     this.stat('increment', 'ping-req.send');
@@ -628,10 +1654,17 @@ RingPop.prototype.sendPingReq = function sendPingReq(unreachableMember, callback
         anySuccess |= !err;
 
         if (++completed === otherMembers.length) {
+            // Others could reach the member that we failed to ping. The
+            // fault is more likely to be ours than the member's.
+            if (anySuccess) {
+                self.localHealth.onFailure('ping-timeout');
+            }
+
             self.membership.update([{
                 address: unreachableMember.address,
                 incarnationNumber: unreachableMember.incarnationNumber,
-                status: anySuccess ? 'alive' : 'suspect'
+                status: anySuccess ? 'alive' : 'suspect',
+                source: self.whoami()
             }]);
 
             callback();
@@ -655,6 +1688,30 @@ RingPop.prototype.setDebugFlag = function setDebugFlag(flag) {
     this.debugFlags[flag] = true;
 };
 
+// Labels are a small map of strings that describe the local member, e.g.
+// its zone or role. They are gossiped along with its status. Changing them
+// on a bootstrapped node bumps its incarnation number.
+RingPop.prototype.setLabels = function setLabels(labels, callback) {
+    var err = validateLabels(labels);
+    if (err) {
+        return callback(err);
+    }
+
+    this.labels = labels;
+
+    var localMember = this.membership.localMember;
+    if (localMember) {
+        this.membership.update([{
+            address: localMember.address,
+            status: localMember.status,
+            incarnationNumber: this.incarnation.next(localMember.incarnationNumber),
+            labels: labels
+        }]);
+    }
+
+    callback();
+};
+
 RingPop.prototype.setLogger = function setLogger(logger) {
     var self = this;
     this.logger = {
@@ -682,6 +1739,16 @@ RingPop.prototype.startProtocolPeriod = function startProtocolPeriod() {
     this.logger.info('ringpop has started gossiping', { address: this.hostPort });
 };
 
+RingPop.prototype.stopProtocolPeriod = function stopProtocolPeriod() {
+    if (!this.isRunning) {
+        return;
+    }
+
+    this.isRunning = false;
+    clearTimeout(this.gossipTimer);
+    this.logger.info('ringpop has stopped gossiping', { address: this.hostPort });
+};
+
 RingPop.prototype.startProtocolRateTimer = function startProtocolRateTimer() {
     this.protocolRateTimer = setInterval(function () {
         this.lastProtocolRate = this.protocolRate();
@@ -699,19 +1766,79 @@ RingPop.prototype.startSuspectPeriod = function startSuspectPeriod(member) {
     // member is still suspected, but overriden by a higher incarnation number.
     // In that case, this function effectively renews and reissues a suspect
     // period.
-    if (this.suspectTimers[member.address]) {
+    if (this.suspicions[member.address]) {
         this.logger.debug('canceling existing suspect period suspect=' + member.address);
-        clearTimeout(this.suspectTimers[member.address]);
+        this.suspicions[member.address].cancel();
     }
 
-    this.suspectTimers[member.address] = setTimeout(function() {
-        this.membership.update([{
-            address: member.address,
-            incarnationNumber: member.incarnationNumber,
-            status: 'faulty'
-        }]);
-        delete this.suspectTimers[member.address];
-    }.bind(this), this.suspectPeriod);
+    this.suspicions[member.address] = new Suspicion({
+        address: member.address,
+        incarnationNumber: member.incarnationNumber,
+        source: member.source,
+        minTimeout: this.localHealth.scale(this.suspectPeriod),
+        maxTimeout: this.localHealth.scale(this.maxSuspectPeriod),
+        expectedConfirmations: this.getExpectedConfirmations(),
+        onTimeout: function onTimeout() {
+            delete this.suspicions[member.address];
+            this.membership.update([{
+                address: member.address,
+                incarnationNumber: member.incarnationNumber,
+                status: 'faulty'
+            }]);
+        }.bind(this)
+    });
+};
+
+// Only the members other than the local one and the suspect can confirm a
+// suspicion, so small clusters expect fewer confirmations.
+RingPop.prototype.getExpectedConfirmations = function getExpectedConfirmations() {
+    return Math.max(0, Math.min(this.suspectConfirmations, this.ring.getServerCount() - 2));
+};
+
+RingPop.prototype.onSuspectConfirmed = function onSuspectConfirmed(member, source) {
+    var suspicion = this.suspicions[member.address];
+
+    if (!suspicion || suspicion.incarnationNumber !== member.incarnationNumber) {
+        return;
+    }
+
+    if (!suspicion.confirm(source)) {
+        return;
+    }
+
+    this.stat('increment', 'suspect.confirmed');
+    this.logger.debug('suspect confirmed member=' + member.address +
+        ' source=' + source + ' confirmations=' + suspicion.confirmations);
+
+    // Pass the confirmation on so that others can shorten their suspect
+    // period as well.
+    this.dissemination.addChange({
+        address: member.address,
+        status: member.status,
+        incarnationNumber: member.incarnationNumber,
+        source: source,
+        piggybackCount: 0
+    });
+};
+
+// Faulty and departed members are kept around for a tombstone period so
+// that their status has a chance to be disseminated. After that they are
+// evicted from the local membership list.
+RingPop.prototype.startTombstonePeriod = function startTombstonePeriod(member) {
+    if (this.destroyed || member.isLocal) {
+        return;
+    }
+
+    this.logger.debug('starting tombstone period member=' + member.address);
+
+    if (this.tombstoneTimers[member.address]) {
+        clearTimeout(this.tombstoneTimers[member.address]);
+    }
+
+    this.tombstoneTimers[member.address] = setTimeout(function() {
+        delete this.tombstoneTimers[member.address];
+        this.membership.evictMember(member.address);
+    }.bind(this), this.tombstonePeriod);
 };
 
 RingPop.prototype.stat = function stat(type, key, value) {
@@ -0,0 +1,289 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var safeParse = require('./util').safeParse;
+
+// Codecs for lists of membership changes and membership state. JSON is
+// understood by all nodes. The binary codec is only used with peers that
+// advertise the binary-codec capability.
+//
+// A binary list starts with a format byte and a table of all strings in the
+// list, so that an address, or a label, is only sent once however often it
+// appears. Each member follows as:
+//
+//   varint address | status byte | varint incarnation number | flags byte
+//   [varint source] [varint number of labels, (varint key, varint value)...]
+//
+// where strings are varint indexes into the table.
+//
+// A body that carries such a list is sent as a buffer of its own, named by a
+// head of {"codec": "binary"}: a varint length and the JSON of the other
+// fields of the body, followed by the list. Bodies without that head are
+// JSON.
+var BINARY_CODEC = 'binary';
+var CAPABILITY = 'binary-codec';
+var JSON_CODEC = 'json';
+
+var FORMAT = 1;
+var HAS_SOURCE = 1;
+var HAS_LABELS = 2;
+var STATUSES = ['alive', 'suspect', 'faulty', 'leave'];
+
+function encode(codec, members) {
+    if (codec !== BINARY_CODEC) {
+        return members;
+    }
+
+    var strings = [];
+    var stringIndexes = Object.create(null);
+    var bytes = [FORMAT];
+
+    function intern(str) {
+        if (!(str in stringIndexes)) {
+            stringIndexes[str] = strings.length;
+            strings.push(str);
+        }
+
+        return stringIndexes[str];
+    }
+
+    var memberBytes = [];
+    writeVarint(memberBytes, members.length);
+
+    members.forEach(function encodeMember(member) {
+        var labelKeys = member.labels ? Object.keys(member.labels) : [];
+        var flags = (member.source ? HAS_SOURCE : 0) |
+            (labelKeys.length > 0 ? HAS_LABELS : 0);
+
+        writeVarint(memberBytes, intern(member.address));
+        memberBytes.push(STATUSES.indexOf(member.status));
+        writeVarint(memberBytes, member.incarnationNumber || 0);
+        memberBytes.push(flags);
+
+        if (flags & HAS_SOURCE) {
+            writeVarint(memberBytes, intern(member.source));
+        }
+
+        if (flags & HAS_LABELS) {
+            writeVarint(memberBytes, labelKeys.length);
+            labelKeys.forEach(function encodeLabel(key) {
+                writeVarint(memberBytes, intern(key));
+                writeVarint(memberBytes, intern(member.labels[key]));
+            });
+        }
+    });
+
+    writeVarint(bytes, strings.length);
+    strings.forEach(function encodeString(str) {
+        var strBuffer = new Buffer(str, 'utf8');
+        writeVarint(bytes, strBuffer.length);
+        for (var i = 0; i < strBuffer.length; i++) {
+            bytes.push(strBuffer[i]);
+        }
+    });
+
+    return new Buffer(bytes.concat(memberBytes));
+}
+
+// Returns the decoded members, or null if they cannot be decoded
+function decode(codec, encoded) {
+    if (codec !== BINARY_CODEC) {
+        return encoded;
+    }
+
+    if (!Buffer.isBuffer(encoded)) {
+        return null;
+    }
+
+    var reader = {
+        buffer: encoded,
+        offset: 0
+    };
+
+    try {
+        return readMembers(reader);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Encodes a body whose members are its field property. Returns the head and
+// body to send, the head being null for JSON.
+function encodeBody(codec, body, field) {
+    if (codec !== BINARY_CODEC) {
+        return { head: null, body: body };
+    }
+
+    var fields = {};
+    Object.keys(body).forEach(function copyField(key) {
+        if (key !== field) {
+            fields[key] = body[key];
+        }
+    });
+
+    var fieldsBuffer = new Buffer(JSON.stringify(fields), 'utf8');
+    var lengthBytes = [];
+    writeVarint(lengthBytes, fieldsBuffer.length);
+
+    return {
+        head: { codec: BINARY_CODEC },
+        body: Buffer.concat([
+            new Buffer(lengthBytes),
+            fieldsBuffer,
+            encode(BINARY_CODEC, body[field])
+        ])
+    };
+}
+
+// Returns the body, with its members decoded into its field property, or
+// null if it cannot be decoded
+function decodeBody(head, body, field) {
+    var headObj = head && head.length > 0 ? safeParse(head.toString()) : null;
+
+    if (!headObj || headObj.codec !== BINARY_CODEC) {
+        return body ? safeParse(body.toString()) : null;
+    }
+
+    if (!Buffer.isBuffer(body)) {
+        return null;
+    }
+
+    var reader = {
+        buffer: body,
+        offset: 0
+    };
+
+    try {
+        var length = readVarint(reader);
+        if (reader.offset + length > body.length) {
+            throw new Error('truncated fields');
+        }
+
+        var fields = safeParse(body.toString('utf8', reader.offset, reader.offset + length));
+        if (!fields || typeof fields !== 'object') {
+            throw new Error('bad fields');
+        }
+
+        reader.offset += length;
+        fields[field] = readMembers(reader);
+        return fields;
+    } catch (e) {
+        return null;
+    }
+}
+
+function readMembers(reader) {
+    if (readByte(reader) !== FORMAT) {
+        throw new Error('unknown format');
+    }
+
+    var numStrings = readVarint(reader);
+    var strings = [];
+    for (var i = 0; i < numStrings; i++) {
+        var length = readVarint(reader);
+        if (reader.offset + length > reader.buffer.length) {
+            throw new Error('truncated string');
+        }
+        strings.push(reader.buffer.toString('utf8', reader.offset, reader.offset + length));
+        reader.offset += length;
+    }
+
+    function readString() {
+        var index = readVarint(reader);
+        if (index >= strings.length) {
+            throw new Error('unknown string');
+        }
+        return strings[index];
+    }
+
+    var numMembers = readVarint(reader);
+    var members = [];
+    for (var j = 0; j < numMembers; j++) {
+        var member = {
+            address: readString(),
+            status: STATUSES[readByte(reader)],
+            incarnationNumber: readVarint(reader)
+        };
+        var flags = readByte(reader);
+
+        if (!member.status) {
+            throw new Error('unknown status');
+        }
+
+        if (flags & HAS_SOURCE) {
+            member.source = readString();
+        }
+
+        if (flags & HAS_LABELS) {
+            member.labels = {};
+            var numLabels = readVarint(reader);
+            for (var k = 0; k < numLabels; k++) {
+                var key = readString();
+                member.labels[key] = readString();
+            }
+        }
+
+        members.push(member);
+    }
+
+    return members;
+}
+
+function readByte(reader) {
+    if (reader.offset >= reader.buffer.length) {
+        throw new Error('truncated');
+    }
+
+    return reader.buffer[reader.offset++];
+}
+
+// Incarnation numbers exceed 32 bits, so varints are computed arithmetically
+// rather than with bitwise operators.
+function writeVarint(bytes, value) {
+    while (value >= 128) {
+        bytes.push(value % 128 + 128);
+        value = Math.floor(value / 128);
+    }
+
+    bytes.push(value);
+}
+
+function readVarint(reader) {
+    var value = 0;
+    var multiplier = 1;
+    var byte;
+
+    do {
+        byte = readByte(reader);
+        value += (byte % 128) * multiplier;
+        multiplier *= 128;
+    } while (byte >= 128);
+
+    return value;
+}
+
+module.exports = {
+    BINARY_CODEC: BINARY_CODEC,
+    CAPABILITY: CAPABILITY,
+    JSON_CODEC: JSON_CODEC,
+    decode: decode,
+    decodeBody: decodeBody,
+    encode: encode,
+    encodeBody: encodeBody
+};
@@ -0,0 +1,214 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var TypedError = require('error/typed');
+
+var InvalidConfigError = TypedError({
+    type: 'ringpop.invalid-config',
+    message: 'Invalid value {value} for {name}. {reason}.',
+    name: null,
+    value: null,
+    reason: null
+});
+
+var UnknownConfigError = TypedError({
+    type: 'ringpop.invalid-config.unknown',
+    message: 'There is no configuration named {name}.',
+    name: null
+});
+
+var ImmutableConfigError = TypedError({
+    type: 'ringpop.invalid-config.immutable',
+    message: '{name} can only be set through the constructor.',
+    name: null
+});
+
+// Settings that can be given to the constructor. Those that are tunable can
+// also be changed on a running node. Each is kept as a property of the
+// ringpop, or of the object its owner returns.
+var SETTINGS = {
+    joinSize: { defaultValue: 3, min: 1, tunable: true },
+    leaveSize: { defaultValue: 3, min: 0, tunable: true },
+    pingReqSize: { defaultValue: 3, min: 1, tunable: true },
+    pingTimeout: { defaultValue: 1500, min: 1, tunable: true },
+    minPingTimeout: { defaultValue: 1500, min: 1, tunable: true },
+    maxPingTimeout: { defaultValue: 5000, min: 1, tunable: true },
+    pingReqTimeout: { defaultValue: 5000, min: 1, tunable: true },
+    minProtocolPeriod: { defaultValue: 200, min: 0, tunable: true },
+    suspectPeriod: { defaultValue: 5000, min: 1, tunable: true },
+    // Suspicions only last longer than suspectPeriod, and shrink with
+    // confirmations, once maxSuspectPeriod is raised above it.
+    maxSuspectPeriod: { defaultFrom: 'suspectPeriod', min: 1, tunable: true },
+    suspectConfirmations: { defaultValue: 3, min: 1, tunable: true },
+    piggybackFactor: {
+        defaultValue: 15,
+        min: 1,
+        tunable: true,
+        owner: function(ringpop) { return ringpop.dissemination; }
+    },
+    // Nodes with different replica points disagree about the owners of
+    // keys, and servers already in the ring are hashed with the old count.
+    replicaPoints: {
+        defaultValue: 100,
+        min: 1,
+        tunable: false,
+        owner: function(ringpop) { return ringpop.ring; }
+    },
+    joinTimeout: { defaultValue: 1000, min: 1, tunable: false },
+    minJoinBackoff: { defaultValue: 100, min: 1, tunable: false },
+    maxJoinBackoff: { defaultValue: 5000, min: 1, tunable: false },
+    maxJoinDuration: { defaultValue: 300000, min: 1, tunable: false },
+    tombstonePeriod: { defaultValue: 300000, min: 1, tunable: false },
+    proxyReqTimeout: { defaultValue: 30000, min: 1, tunable: false },
+    healInterval: { defaultValue: 30000, min: 1, tunable: false },
+    discoveryInterval: { defaultValue: 30000, min: 1, tunable: false },
+    snapshotInterval: { defaultValue: 60000, min: 1, tunable: false }
+};
+
+function validateSetting(name, value) {
+    var setting = SETTINGS[name];
+
+    if (!setting) {
+        return UnknownConfigError({ name: name });
+    }
+
+    if (typeof value !== 'number' || value % 1 !== 0) {
+        return InvalidConfigError({ name: name, value: value, reason: 'It must be an integer' });
+    }
+
+    if (value < setting.min) {
+        return InvalidConfigError({
+            name: name,
+            value: value,
+            reason: 'It must be at least ' + setting.min
+        });
+    }
+
+    return null;
+}
+
+// Validates a complete configuration, returning the first error found
+function validateConfig(config) {
+    var names = Object.keys(config);
+
+    for (var i = 0; i < names.length; i++) {
+        var err = validateSetting(names[i], config[names[i]]);
+        if (err) {
+            return err;
+        }
+    }
+
+    if (config.minPingTimeout > config.maxPingTimeout) {
+        return InvalidConfigError({
+            name: 'minPingTimeout',
+            value: config.minPingTimeout,
+            reason: 'It must not exceed maxPingTimeout, ' + config.maxPingTimeout
+        });
+    }
+
+    if (config.minJoinBackoff > config.maxJoinBackoff) {
+        return InvalidConfigError({
+            name: 'minJoinBackoff',
+            value: config.minJoinBackoff,
+            reason: 'It must not exceed maxJoinBackoff, ' + config.maxJoinBackoff
+        });
+    }
+
+    if (config.suspectPeriod > config.maxSuspectPeriod) {
+        return InvalidConfigError({
+            name: 'suspectPeriod',
+            value: config.suspectPeriod,
+            reason: 'It must not exceed maxSuspectPeriod, ' + config.maxSuspectPeriod
+        });
+    }
+
+    return null;
+}
+
+// Fills in the defaults of settings missing from the options. Throws if any
+// setting is invalid.
+function createConfig(options) {
+    var config = {};
+
+    Object.keys(SETTINGS).forEach(function fillSetting(name) {
+        config[name] = options[name] !== undefined ?
+            options[name] : SETTINGS[name].defaultValue;
+    });
+
+    Object.keys(SETTINGS).forEach(function fillDefaultFrom(name) {
+        if (options[name] === undefined && SETTINGS[name].defaultFrom) {
+            config[name] = config[SETTINGS[name].defaultFrom];
+        }
+    });
+
+    var err = validateConfig(config);
+    if (err) {
+        throw err;
+    }
+
+    return config;
+}
+
+function readConfig(ringpop) {
+    var config = {};
+
+    Object.keys(SETTINGS).forEach(function readSetting(name) {
+        config[name] = getOwner(ringpop, name)[name];
+    });
+
+    return config;
+}
+
+// Applies changes to the tunable settings of a running ringpop. Either all
+// changes are applied, or none are and an error is returned.
+function updateConfig(ringpop, changes) {
+    var names = Object.keys(changes);
+
+    for (var i = 0; i < names.length; i++) {
+        if (SETTINGS[names[i]] && !SETTINGS[names[i]].tunable) {
+            return ImmutableConfigError({ name: names[i] });
+        }
+    }
+
+    var config = readConfig(ringpop);
+    names.forEach(function mergeChange(name) {
+        config[name] = changes[name];
+    });
+
+    var err = validateConfig(config);
+    if (err) {
+        return err;
+    }
+
+    names.forEach(function applyChange(name) {
+        getOwner(ringpop, name)[name] = changes[name];
+    });
+
+    return null;
+}
+
+function getOwner(ringpop, name) {
+    return SETTINGS[name].owner ? SETTINGS[name].owner(ringpop) : ringpop;
+}
+
+module.exports = {
+    createConfig: createConfig,
+    readConfig: readConfig,
+    updateConfig: updateConfig
+};
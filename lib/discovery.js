@@ -0,0 +1,155 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var dns = require('dns');
+var fs = require('fs');
+var TypedError = require('error/typed');
+
+var safeParse = require('./util').safeParse;
+
+var InvalidDiscoveryProviderError = TypedError({
+    type: 'ringpop.discovery.invalid-provider',
+    message: 'A discovery provider must be an array of hosts, a hosts file,' +
+        ' a function or an object with a discover method',
+    provider: null
+});
+
+var InvalidHostsError = TypedError({
+    type: 'ringpop.discovery.invalid-hosts',
+    message: 'Discovery provider {provider} did not discover a list of hosts',
+    provider: null
+});
+
+// A discovery provider finds the hosts that ringpop bootstraps from. All
+// providers implement discover(callback), which calls back with a list of
+// host:port strings.
+
+function StaticDiscovery(hosts) {
+    this.hosts = hosts;
+}
+
+StaticDiscovery.prototype.name = 'static';
+
+StaticDiscovery.prototype.discover = function discover(callback) {
+    var hosts = this.hosts.slice();
+
+    process.nextTick(function onTick() {
+        callback(null, hosts);
+    });
+};
+
+function JsonFileDiscovery(file) {
+    this.file = file;
+}
+
+JsonFileDiscovery.prototype.name = 'json-file';
+
+JsonFileDiscovery.prototype.discover = function discover(callback) {
+    var self = this;
+
+    fs.readFile(this.file, function onRead(err, data) {
+        if (err) {
+            return callback(err);
+        }
+
+        var hosts = safeParse(data.toString());
+        if (!Array.isArray(hosts)) {
+            return callback(InvalidHostsError({ provider: self.name }));
+        }
+
+        callback(null, hosts);
+    });
+};
+
+// Discovers hosts through a user-supplied function of the form
+// function(callback), which calls back with (err, hosts).
+function FunctionDiscovery(fn) {
+    this.fn = fn;
+}
+
+FunctionDiscovery.prototype.name = 'function';
+
+FunctionDiscovery.prototype.discover = function discover(callback) {
+    var self = this;
+
+    this.fn(function onDiscover(err, hosts) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (!Array.isArray(hosts)) {
+            return callback(InvalidHostsError({ provider: self.name }));
+        }
+
+        callback(null, hosts);
+    });
+};
+
+// Resolves the A records of a hostname, all of which are assumed to listen
+// on the same port. The resolver can be replaced with anything that
+// implements resolve4(hostname, callback), like the dns module does.
+function DnsDiscovery(options) {
+    this.hostname = options.hostname;
+    this.port = options.port;
+    this.resolver = options.resolver || dns;
+}
+
+DnsDiscovery.prototype.name = 'dns';
+
+DnsDiscovery.prototype.discover = function discover(callback) {
+    var self = this;
+
+    this.resolver.resolve4(this.hostname, function onResolve(err, addresses) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (!Array.isArray(addresses)) {
+            return callback(InvalidHostsError({ provider: self.name }));
+        }
+
+        callback(null, addresses.map(function toHostPort(address) {
+            return address + ':' + self.port;
+        }));
+    });
+};
+
+function createDiscoveryProvider(provider) {
+    if (Array.isArray(provider)) {
+        return new StaticDiscovery(provider);
+    } else if (typeof provider === 'string') {
+        return new JsonFileDiscovery(provider);
+    } else if (typeof provider === 'function') {
+        return new FunctionDiscovery(provider);
+    } else if (provider && typeof provider.discover === 'function') {
+        return provider;
+    } else if (provider && provider.hostname && provider.port) {
+        return new DnsDiscovery(provider);
+    }
+
+    throw InvalidDiscoveryProviderError({ provider: provider });
+}
+
+module.exports = {
+    createDiscoveryProvider: createDiscoveryProvider,
+    DnsDiscovery: DnsDiscovery,
+    FunctionDiscovery: FunctionDiscovery,
+    JsonFileDiscovery: JsonFileDiscovery,
+    StaticDiscovery: StaticDiscovery
+};
@@ -0,0 +1,238 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var clearTimeout = require('timers').clearTimeout;
+
+var codec = require('./codec');
+
+var HEAL_INTERVAL = 30000;
+var HEAL_SIZE = 3;
+
+// Heals network partitions. Once two halves of a cluster have declared each
+// other faulty, neither pings the other again. The healer periodically probes
+// a sample of the faulty members and of the bootstrap hosts that are not
+// members, and merges the membership of any it reaches.
+//
+// Members that are alive in one view but faulty in the other at the same or
+// a higher incarnation number would not be revived by a merge. These are
+// first declared suspect in the view where they are alive, which makes them
+// refute the suspicion with a higher incarnation number. The merge happens
+// on a later attempt.
+function Healer(ringpop, options) {
+    this.ringpop = ringpop;
+    this.interval = options.interval || HEAL_INTERVAL;
+    this.healSize = options.healSize || HEAL_SIZE;
+    this.timer = null;
+}
+
+Healer.prototype.start = function start() {
+    if (this.timer) {
+        return;
+    }
+
+    var self = this;
+
+    this.timer = setTimeout(function onTimeout() {
+        self.heal(function onHeal() {
+            self.timer = null;
+
+            if (!self.ringpop.destroyed) {
+                self.start();
+            }
+        });
+    }, this.interval);
+};
+
+Healer.prototype.stop = function stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+};
+
+Healer.prototype.selectTargets = function selectTargets() {
+    var ringpop = this.ringpop;
+    var targets = ringpop.membership.getFaultyMembers().map(function(member) {
+        return member.address;
+    });
+
+    (ringpop.bootstrapHosts || []).forEach(function(host) {
+        if (host !== ringpop.hostPort && targets.indexOf(host) === -1 &&
+            !ringpop.membership.findMemberByAddress(host)) {
+            targets.push(host);
+        }
+    });
+
+    for (var i = targets.length - 1; i > 0; i--) {
+        var j = Math.floor(Math.random() * (i + 1));
+        var target = targets[i];
+        targets[i] = targets[j];
+        targets[j] = target;
+    }
+
+    return targets.slice(0, this.healSize);
+};
+
+Healer.prototype.heal = function heal(callback) {
+    var localMember = this.ringpop.membership.localMember;
+
+    if (!localMember || localMember.status === 'leave') {
+        return process.nextTick(callback);
+    }
+
+    var targets = this.selectTargets();
+    var numPending = targets.length;
+
+    if (numPending === 0) {
+        return process.nextTick(callback);
+    }
+
+    targets.forEach(function healTarget(target) {
+        this.healTarget(target, function onHealTarget() {
+            if (--numPending === 0) {
+                callback();
+            }
+        });
+    }, this);
+};
+
+Healer.prototype.healTarget = function healTarget(target, callback) {
+    var self = this;
+    var ringpop = this.ringpop;
+    var local = ringpop.membership.localMember;
+    var options = {
+        host: target,
+        timeout: ringpop.joinTimeout,
+        endpoint: '/protocol/join'
+    };
+    var body = {
+        app: ringpop.app,
+        source: local.address,
+        incarnationNumber: local.incarnationNumber,
+        labels: local.labels,
+        protocol: ringpop.protocol.describe()
+    };
+
+    ringpop.stat('increment', 'heal.attempt');
+    ringpop.send(options, null, body, function onJoin(err, res1, res2) {
+        if (ringpop.destroyed) {
+            return callback();
+        }
+
+        var bodyObj = !err ? codec.decodeBody(res1, res2, 'membership') : null;
+        var membership = bodyObj ? bodyObj.membership : null;
+
+        if (!Array.isArray(membership)) {
+            ringpop.logger.debug('heal failed member=' + target +
+                ' err=' + (err ? err.message : 'bad response body'), 'p');
+            return callback();
+        }
+
+        self.mergeMembership(target, membership, callback);
+    });
+};
+
+Healer.prototype.mergeMembership = function mergeMembership(target, remoteMembers, callback) {
+    var ringpop = this.ringpop;
+    var localSuspects = [];
+    var remoteSuspects = [];
+
+    remoteMembers.forEach(function compare(remote) {
+        var member = ringpop.membership.findMemberByAddress(remote.address);
+
+        if (!member) {
+            return;
+        }
+
+        var isAlive = member.status === 'alive' || member.status === 'suspect';
+        var isRemoteAlive = remote.status === 'alive' || remote.status === 'suspect';
+
+        if (isAlive && remote.status === 'faulty' &&
+            remote.incarnationNumber >= member.incarnationNumber) {
+            localSuspects.push({
+                address: remote.address,
+                status: 'suspect',
+                incarnationNumber: remote.incarnationNumber,
+                source: ringpop.whoami()
+            });
+        } else if (isRemoteAlive && member.status === 'faulty' &&
+            remote.incarnationNumber <= member.incarnationNumber) {
+            remoteSuspects.push({
+                address: remote.address,
+                status: 'suspect',
+                incarnationNumber: member.incarnationNumber,
+                source: ringpop.whoami()
+            });
+        }
+    });
+
+    if (localSuspects.length > 0 || remoteSuspects.length > 0) {
+        ringpop.stat('increment', 'heal.reincarnate');
+        ringpop.logger.info('healer is reincarnating members of partition', {
+            address: ringpop.hostPort,
+            target: target,
+            numLocalSuspects: localSuspects.length,
+            numRemoteSuspects: remoteSuspects.length
+        });
+
+        ringpop.membership.update(localSuspects);
+        this.sendChanges(target, remoteSuspects, callback);
+        return;
+    }
+
+    ringpop.stat('increment', 'heal.merge');
+    ringpop.logger.info('healer is merging membership of partition', {
+        address: ringpop.hostPort,
+        target: target
+    });
+
+    ringpop.membership.update(remoteMembers);
+    this.sendChanges(target, ringpop.membership.getState(), callback);
+};
+
+// Sends changes to the target through a ping, as gossip would
+Healer.prototype.sendChanges = function sendChanges(target, changes, callback) {
+    var ringpop = this.ringpop;
+
+    if (changes.length === 0) {
+        return process.nextTick(callback);
+    }
+
+    var options = {
+        host: target,
+        timeout: ringpop.localHealth.scale(ringpop.roundTripTimes.getPingTimeout(target)),
+        endpoint: '/protocol/ping'
+    };
+    var checksumFormat = ringpop.getChecksumFormat(target);
+    var body = {
+        checksum: ringpop.membership.getChecksum(checksumFormat),
+        checksumFormat: checksumFormat,
+        changes: changes,
+        source: ringpop.whoami(),
+        bucketCount: ringpop.membership.bucketCount
+    };
+
+    ringpop.send(options, null, body, function onPing(err) {
+        if (err) {
+            ringpop.logger.debug('heal ping failed member=' + target + ' err=' + err.message, 'p');
+        }
+
+        callback();
+    });
+};
+
+module.exports = Healer;
@@ -0,0 +1,281 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var clearTimeout = require('timers').clearTimeout;
+var http = require('http');
+var setTimeout = require('timers').setTimeout;
+var TypedError = require('error/typed');
+
+var safeParse = require('./util').safeParse;
+var transport = require('./transport');
+
+// Requests and responses larger than this are not read
+var MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+var BodyTooLargeError = TypedError({
+    type: 'ringpop.transport.body-too-large',
+    message: 'Body exceeds the maximum size of {maxBodySize} bytes',
+    maxBodySize: null
+});
+
+// Carries requests over HTTP, for services that do not run TChannel. A
+// request is POSTed to the path of its endpoint and, like its response, is a
+// JSON object of the head and body, each base64 encoded:
+//
+//   {"head": "...", "body": "..."}
+//
+// Handlers that call back with an error respond with status 500 and
+// {"error": {"type": "...", "message": "..."}}. Requests larger than
+// maxBodySize bytes are responded to with status 413.
+function HttpTransport(options) {
+    options = options || {};
+
+    var parts = (options.hostPort || '').split(':');
+    this.host = parts[0];
+    this.port = +parts[1];
+    this.maxBodySize = options.maxBodySize || MAX_BODY_SIZE;
+    this.handlers = {};
+    this.pending = [];
+    this.agent = new http.Agent({ keepAlive: true });
+    this.destroyed = false;
+
+    var self = this;
+    this.server = http.createServer(function onRequest(req, res) {
+        self.handleRequest(req, res);
+    });
+}
+
+HttpTransport.prototype.listen = function listen(callback) {
+    var self = this;
+
+    function onListening() {
+        self.server.removeListener('error', onError);
+        callback();
+    }
+
+    function onError(err) {
+        self.server.removeListener('listening', onListening);
+        callback(err);
+    }
+
+    this.server.once('listening', onListening);
+    this.server.once('error', onError);
+    this.server.listen(this.port, this.host);
+};
+
+HttpTransport.prototype.register = function register(endpoint, handler) {
+    this.handlers[endpoint] = handler;
+};
+
+HttpTransport.prototype.send = function send(options, head, body, callback) {
+    var self = this;
+    var endpoint = options.endpoint;
+    var parts = options.host.split(':');
+    var timer = null;
+    var done = false;
+
+    if (this.destroyed) {
+        return process.nextTick(function onDestroyed() {
+            callback(transport.UnreachableHostError({
+                endpoint: endpoint,
+                host: options.host
+            }));
+        });
+    }
+
+    var payload = JSON.stringify({
+        head: transport.toBuffer(head).toString('base64'),
+        body: transport.toBuffer(body).toString('base64')
+    });
+
+    var req = http.request({
+        host: parts[0],
+        port: +parts[1],
+        method: 'POST',
+        path: endpoint,
+        agent: this.agent,
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+        }
+    }, function onResponse(res) {
+        readJson(res, self.maxBodySize, function onBody(err, bodyObj) {
+            if (err) {
+                return finish(err);
+            }
+
+            if (!bodyObj) {
+                return finish(new Error('bad response body from ' + options.host));
+            }
+
+            if (res.statusCode !== 200) {
+                return finish(createResponseError(bodyObj.error));
+            }
+
+            finish(null, new Buffer(bodyObj.head || '', 'base64'),
+                new Buffer(bodyObj.body || '', 'base64'));
+        });
+    });
+
+    req.on('error', function onError() {
+        finish(transport.UnreachableHostError({
+            endpoint: endpoint,
+            host: options.host
+        }));
+    });
+
+    if (options.timeout) {
+        timer = setTimeout(function onTimeout() {
+            finish(transport.TransportTimeoutError({
+                endpoint: endpoint,
+                host: options.host,
+                timeout: options.timeout
+            }));
+        }, options.timeout);
+    }
+
+    this.pending.push(finish);
+    req.end(payload);
+
+    function finish(err, res1, res2) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        clearTimeout(timer);
+        self.pending.splice(self.pending.indexOf(finish), 1);
+
+        if (err) {
+            req.abort();
+        }
+
+        callback(err, res1, res2);
+    }
+};
+
+HttpTransport.prototype.handleRequest = function handleRequest(req, res) {
+    var handler = this.handlers[req.url];
+    var hostInfo = req.socket.remoteAddress + ':' + req.socket.remotePort;
+
+    if (req.method !== 'POST' || !handler) {
+        return respond(res, 404, {
+            error: transport.UnknownEndpointError({ endpoint: req.url })
+        });
+    }
+
+    readJson(req, this.maxBodySize, function onBody(err, bodyObj) {
+        if (err) {
+            return respond(res, 413, { error: err });
+        }
+
+        if (!bodyObj) {
+            return respond(res, 400, {
+                error: new Error('need JSON req body with head and body')
+            });
+        }
+
+        var head = new Buffer(bodyObj.head || '', 'base64');
+        var body = new Buffer(bodyObj.body || '', 'base64');
+
+        handler(head, body, hostInfo, function onHandled(err, res1, res2) {
+            if (err) {
+                return respond(res, 500, { error: err });
+            }
+
+            respond(res, 200, {
+                head: transport.toBuffer(res1).toString('base64'),
+                body: transport.toBuffer(res2).toString('base64')
+            });
+        });
+    });
+};
+
+HttpTransport.prototype.quit = function quit() {
+    this.destroyed = true;
+
+    // Requests still in flight fail rather than wait for their timeout
+    this.pending.slice().forEach(function failRequest(finish) {
+        finish(new Error('transport has quit'));
+    });
+
+    if (this.server.listening) {
+        this.server.close();
+    }
+
+    if (this.server.closeAllConnections) {
+        this.server.closeAllConnections();
+    }
+
+    this.agent.destroy();
+};
+
+// Calls back with the parsed body of a stream, or with a BodyTooLargeError
+// as soon as it exceeds maxBodySize. The rest of a body that is too large is
+// discarded.
+function readJson(stream, maxBodySize, callback) {
+    var chunks = [];
+    var size = 0;
+
+    stream.on('data', function onData(chunk) {
+        if (size > maxBodySize) {
+            return;
+        }
+
+        size += chunk.length;
+        if (size > maxBodySize) {
+            chunks = null;
+            return callback(BodyTooLargeError({ maxBodySize: maxBodySize }));
+        }
+
+        chunks.push(chunk);
+    });
+    stream.on('end', function onEnd() {
+        if (size > maxBodySize) {
+            return;
+        }
+
+        callback(null, safeParse(Buffer.concat(chunks).toString()));
+    });
+}
+
+function respond(res, statusCode, bodyObj) {
+    if (bodyObj.error) {
+        bodyObj.error = {
+            type: bodyObj.error.type,
+            message: bodyObj.error.message
+        };
+    }
+
+    var payload = JSON.stringify(bodyObj);
+
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+function createResponseError(error) {
+    var err = new Error(error && error.message || 'request failed');
+    err.type = error && error.type;
+    return err;
+}
+
+module.exports = HttpTransport;
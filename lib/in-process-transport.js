@@ -0,0 +1,132 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var clearTimeout = require('timers').clearTimeout;
+var setTimeout = require('timers').setTimeout;
+
+var transport = require('./transport');
+
+// Carries requests between ringpops in the same process, for tests and
+// simulations. Every transport created by a network can reach the others by
+// their host and port. Requests and responses are delivered asynchronously,
+// as buffers, and errors as their message, like those of a real network.
+function InProcessNetwork() {
+    this.transports = {};
+}
+
+InProcessNetwork.prototype.createTransport = function createTransport(hostPort) {
+    var inProcessTransport = new InProcessTransport(this, hostPort);
+    this.transports[hostPort] = inProcessTransport;
+    return inProcessTransport;
+};
+
+InProcessNetwork.prototype.findTransport = function findTransport(hostPort) {
+    return this.transports[hostPort] || null;
+};
+
+function InProcessTransport(network, hostPort) {
+    this.network = network;
+    this.hostPort = hostPort;
+    this.handlers = {};
+    this.destroyed = false;
+}
+
+InProcessTransport.prototype.register = function register(endpoint, handler) {
+    this.handlers[endpoint] = handler;
+};
+
+InProcessTransport.prototype.send = function send(options, head, body, callback) {
+    var self = this;
+    var endpoint = options.endpoint;
+    var target = this.network.findTransport(options.host);
+    var timer = null;
+    var done = false;
+
+    head = transport.toBuffer(head);
+    body = transport.toBuffer(body);
+
+    if (options.timeout) {
+        timer = setTimeout(function onTimeout() {
+            finish(transport.TransportTimeoutError({
+                endpoint: endpoint,
+                host: options.host,
+                timeout: options.timeout
+            }));
+        }, options.timeout);
+    }
+
+    process.nextTick(function deliver() {
+        if (self.destroyed || !target || target.destroyed) {
+            return finish(transport.UnreachableHostError({
+                endpoint: endpoint,
+                host: options.host
+            }));
+        }
+
+        target.handle({
+            endpoint: endpoint,
+            head: head,
+            body: body,
+            hostInfo: self.hostPort
+        }, finish);
+    });
+
+    function finish(err, res1, res2) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        clearTimeout(timer);
+
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, transport.toBuffer(res1), transport.toBuffer(res2));
+    }
+};
+
+InProcessTransport.prototype.handle = function handle(request, callback) {
+    var handler = this.handlers[request.endpoint];
+
+    if (!handler) {
+        return callback(transport.UnknownEndpointError({ endpoint: request.endpoint }));
+    }
+
+    // Handler errors are sent as their message only, as over TChannel
+    handler(request.head, request.body, request.hostInfo, function onResponse(err, res1, res2) {
+        process.nextTick(function respond() {
+            callback(err && new Error(err.message), res1, res2);
+        });
+    });
+};
+
+InProcessTransport.prototype.quit = function quit() {
+    this.destroyed = true;
+
+    if (this.network.transports[this.hostPort] === this) {
+        delete this.network.transports[this.hostPort];
+    }
+};
+
+module.exports = {
+    InProcessNetwork: InProcessNetwork,
+    InProcessTransport: InProcessTransport
+};
@@ -0,0 +1,101 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var fs = require('fs');
+
+var safeParse = require('./util').safeParse;
+
+// Issues the incarnation numbers of the local member. Each incarnation
+// number is greater than the last one issued and than any minimum it is
+// asked to exceed, whatever the clock says, so that a node can always refute
+// suspicion of itself.
+//
+// Without a state file, incarnation numbers are also at least the current
+// time in milliseconds, which is what lets a restarted node override its
+// previous incarnation. With a state file, the last incarnation number is
+// persisted and the clock is only consulted to seed a missing file.
+function Incarnation(options) {
+    this.file = options.file;
+    this.logger = options.logger;
+    this.last = 0;
+
+    if (this.file) {
+        this.last = this.load();
+    }
+}
+
+Incarnation.prototype.load = function load() {
+    if (!fs.existsSync(this.file)) {
+        return Date.now();
+    }
+
+    var state = null;
+
+    try {
+        state = safeParse(fs.readFileSync(this.file).toString());
+    } catch (e) {
+        this.logger.warn('failed to read incarnation state file', {
+            err: e.message,
+            file: this.file
+        });
+    }
+
+    if (!state || typeof state.incarnationNumber !== 'number') {
+        this.logger.warn('incarnation state file is invalid, seeding from clock', {
+            file: this.file
+        });
+        return Date.now();
+    }
+
+    return state.incarnationNumber;
+};
+
+Incarnation.prototype.next = function next(minimum) {
+    var incarnationNumber = Math.max(this.last + 1, (minimum || 0) + 1);
+
+    if (!this.file) {
+        incarnationNumber = Math.max(incarnationNumber, Date.now());
+    }
+
+    this.last = incarnationNumber;
+
+    if (this.file) {
+        this.persist();
+    }
+
+    return incarnationNumber;
+};
+
+// Written to a temporary file first, then renamed, so that a crash cannot
+// leave a truncated state file behind.
+Incarnation.prototype.persist = function persist() {
+    var tmpFile = this.file + '.tmp';
+
+    try {
+        fs.writeFileSync(tmpFile, JSON.stringify({ incarnationNumber: this.last }));
+        fs.renameSync(tmpFile, this.file);
+    } catch (e) {
+        this.logger.warn('failed to persist incarnation state file', {
+            err: e.message,
+            file: this.file
+        });
+    }
+};
+
+module.exports = Incarnation;
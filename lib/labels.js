@@ -0,0 +1,63 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var TypedError = require('error/typed');
+
+var MAX_LABELS = 16;
+var MAX_LABEL_LENGTH = 128;
+
+var InvalidLabelsError = TypedError({
+    type: 'ringpop.invalid-labels',
+    message: 'Member labels must be an object of at most {maxLabels} string keys' +
+        ' and values, each at most {maxLength} characters long. {reason}.',
+    reason: null,
+    maxLabels: MAX_LABELS,
+    maxLength: MAX_LABEL_LENGTH
+});
+
+// Labels of the local member as well as those of remote members, which are
+// gossiped to every node, are held to the same limits.
+function validateLabels(labels) {
+    if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+        return InvalidLabelsError({ reason: 'Labels are not an object' });
+    }
+
+    var keys = Object.keys(labels);
+    if (keys.length > MAX_LABELS) {
+        return InvalidLabelsError({ reason: 'There are ' + keys.length + ' labels' });
+    }
+
+    for (var i = 0; i < keys.length; i++) {
+        var value = labels[keys[i]];
+
+        if (typeof value !== 'string') {
+            return InvalidLabelsError({ reason: 'The value of ' + keys[i] + ' is not a string' });
+        }
+
+        if (keys[i].length > MAX_LABEL_LENGTH || value.length > MAX_LABEL_LENGTH) {
+            return InvalidLabelsError({ reason: 'The label ' + keys[i] + ' is too long' });
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    validateLabels: validateLabels
+};
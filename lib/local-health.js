@@ -0,0 +1,66 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var MAX_SCORE = 8;
+
+// Local health awareness, as described by Lifeguard. A node that is
+// overloaded or paused observes timeouts that are its own fault. Each such
+// observation raises its health score, and the resulting multiplier
+// stretches the timeouts it uses to judge others. Successful pings lower
+// the score again.
+function LocalHealth(ringpop) {
+    this.ringpop = ringpop;
+    this.maxScore = MAX_SCORE;
+    this.score = 0;
+}
+
+LocalHealth.prototype.getMultiplier = function getMultiplier() {
+    return this.score + 1;
+};
+
+LocalHealth.prototype.onFailure = function onFailure(reason) {
+    this.adjustScore(1, reason);
+};
+
+LocalHealth.prototype.onSuccess = function onSuccess() {
+    this.adjustScore(-1, 'success');
+};
+
+LocalHealth.prototype.adjustScore = function adjustScore(delta, reason) {
+    var prevScore = this.score;
+
+    this.score = Math.max(0, Math.min(this.maxScore, this.score + delta));
+
+    if (this.score === prevScore) {
+        return;
+    }
+
+    this.ringpop.stat('gauge', 'local-health.multiplier', this.getMultiplier());
+    this.ringpop.logger.debug('adjusted local health multiplier', {
+        newMultiplier: this.getMultiplier(),
+        oldMultiplier: prevScore + 1,
+        reason: reason
+    });
+};
+
+LocalHealth.prototype.scale = function scale(timeout) {
+    return timeout * this.getMultiplier();
+};
+
+module.exports = LocalHealth;
@@ -0,0 +1,152 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// A list of members that also indexes the position of each member by its
+// address. Members are removed by swapping them with the last member, so
+// that adds, removes and lookups are all constant time.
+function IndexedList() {
+    this.items = [];
+    this.indexes = {};
+}
+
+IndexedList.prototype.get = function get(address) {
+    var index = this.indexes[address];
+
+    return typeof index === 'undefined' ? undefined : this.items[index];
+};
+
+IndexedList.prototype.has = function has(address) {
+    return typeof this.indexes[address] !== 'undefined';
+};
+
+IndexedList.prototype.push = function push(member) {
+    this.indexes[member.address] = this.items.length;
+    this.items.push(member);
+};
+
+// Equivalent to splicing the member in at a random position, without
+// shifting every member after it.
+IndexedList.prototype.pushRandomly = function pushRandomly(member) {
+    this.push(member);
+    this.swap(this.items.length - 1, Math.floor(Math.random() * this.items.length));
+};
+
+IndexedList.prototype.remove = function remove(address) {
+    var index = this.indexes[address];
+
+    if (typeof index === 'undefined') {
+        return;
+    }
+
+    this.swap(index, this.items.length - 1);
+    this.items.pop();
+    delete this.indexes[address];
+};
+
+IndexedList.prototype.shuffle = function shuffle() {
+    for (var i = this.items.length - 1; i > 0; i--) {
+        this.swap(i, Math.floor(Math.random() * (i + 1)));
+    }
+};
+
+IndexedList.prototype.swap = function swap(i, j) {
+    if (i === j) {
+        return;
+    }
+
+    var tmp = this.items[i];
+    this.items[i] = this.items[j];
+    this.items[j] = tmp;
+    this.indexes[this.items[i].address] = i;
+    this.indexes[this.items[j].address] = j;
+};
+
+// Stores members so that they can be looked up by address, iterated in a
+// shuffled ping order and sampled from the pingable members in time that
+// does not depend on the total number of members.
+function MemberStore(isPingable) {
+    this.isPingable = isPingable;
+    this.members = new IndexedList();
+    this.pingOrder = new IndexedList();
+    this.pingable = new IndexedList();
+}
+
+MemberStore.prototype.add = function add(member) {
+    this.members.push(member);
+    this.pingOrder.pushRandomly(member);
+    this.refresh(member);
+};
+
+MemberStore.prototype.find = function find(address) {
+    return this.members.get(address);
+};
+
+MemberStore.prototype.getAll = function getAll() {
+    return this.members.items;
+};
+
+MemberStore.prototype.getCount = function getCount() {
+    return this.members.items.length;
+};
+
+MemberStore.prototype.getPingOrderAt = function getPingOrderAt(index) {
+    return this.pingOrder.items[index];
+};
+
+// Must be called whenever the status of a member has changed
+MemberStore.prototype.refresh = function refresh(member) {
+    var isPingable = this.isPingable(member);
+
+    if (isPingable && !this.pingable.has(member.address)) {
+        this.pingable.push(member);
+    } else if (!isPingable && this.pingable.has(member.address)) {
+        this.pingable.remove(member.address);
+    }
+};
+
+MemberStore.prototype.remove = function remove(address) {
+    this.members.remove(address);
+    this.pingOrder.remove(address);
+    this.pingable.remove(address);
+};
+
+// Samples up to n pingable members with a partial Fisher-Yates shuffle of
+// the pingable members.
+MemberStore.prototype.samplePingable = function samplePingable(n, excluding) {
+    var pingable = this.pingable;
+    var sample = [];
+
+    for (var i = 0; i < pingable.items.length && sample.length < n; i++) {
+        pingable.swap(i, i + Math.floor(Math.random() * (pingable.items.length - i)));
+
+        var member = pingable.items[i];
+        if (excluding.indexOf(member.address) === -1) {
+            sample.push(member);
+        }
+    }
+
+    return sample;
+};
+
+MemberStore.prototype.shufflePingOrder = function shufflePingOrder() {
+    this.pingOrder.shuffle();
+};
+
+module.exports = MemberStore;
@@ -22,6 +22,16 @@ var farmhash = require('farmhash');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
 
+var MemberStore = require('./member-store');
+var validateLabels = require('./labels').validateLabels;
+
+var BUCKET_COUNT = 64;
+
+// Formats of the membership checksum. Nodes that predate the incremental
+// checksum hash the checksum strings of all members, without labels, joined
+// together. It is the format assumed of any checksum sent without one.
+var INCREMENTAL_CHECKSUM = 'incremental';
+var LEGACY_CHECKSUM = 'legacy';
 var LOG_10 = Math.log(10);
 
 function Dissemination(ringpop) {
@@ -37,6 +47,32 @@ Dissemination.prototype.addChange = function addChange(change) {
     this.changes[change.address] = change;
 };
 
+// Changes are only counted as piggybacked once the message that carried them
+// has been delivered. Changes carried by a message that was lost remain
+// pending, uncounted, and are issued again on the next message.
+Dissemination.prototype.acknowledgeChanges = function acknowledgeChanges(changes) {
+    if (!Array.isArray(changes)) {
+        return;
+    }
+
+    for (var i = 0; i < changes.length; i++) {
+        var issued = changes[i];
+        var change = this.changes[issued.address];
+
+        // The change may have been superseded since it was issued
+        if (!change || change.status !== issued.status ||
+            change.incarnationNumber !== issued.incarnationNumber) {
+            continue;
+        }
+
+        change.piggybackCount += 1;
+
+        if (change.piggybackCount >= this.maxPiggybackCount) {
+            delete this.changes[issued.address];
+        }
+    }
+};
+
 Dissemination.prototype.adjustMaxPiggybackCount = function adjustMaxPiggybackCount() {
     var serverCount = this.ringpop.ring.getServerCount();
     var prevPiggybackCount = this.maxPiggybackCount;
@@ -54,19 +90,15 @@ Dissemination.prototype.adjustMaxPiggybackCount = function adjustMaxPiggybackCou
     }
 };
 
-Dissemination.prototype.getChanges = function getChanges(checksum, source) {
+Dissemination.prototype.getChanges = function getChanges(checksum, source, bucketCount, checksumFormat) {
     var changesToDisseminate = [];
 
     for (var address in this.changes) {
         var change = this.changes[address];
 
-        // TODO We're bumping the piggyback count even though
-        // we don't know whether the change successfully made
-        // it over to the other side. This can result in undesired
-        // full-syncs.
-        change.piggybackCount += 1;
-
-        if (change.piggybackCount > this.maxPiggybackCount) {
+        // The piggyback count is only bumped by acknowledgeChanges. The max
+        // count may have been lowered since the change was last acknowledged.
+        if (change.piggybackCount >= this.maxPiggybackCount) {
             delete this.changes[address];
             continue;
         }
@@ -74,7 +106,9 @@ Dissemination.prototype.getChanges = function getChanges(checksum, source) {
         changesToDisseminate.push({
             address: change.address,
             status: change.status,
-            incarnationNumber: change.incarnationNumber
+            incarnationNumber: change.incarnationNumber,
+            labels: change.labels,
+            source: change.source
         });
     }
 
@@ -82,10 +116,22 @@ Dissemination.prototype.getChanges = function getChanges(checksum, source) {
 
     if (changesToDisseminate.length) {
         return changesToDisseminate;
-    } else if (checksum && this.ringpop.membership.checksum !== checksum) {
+    } else if (checksum &&
+        this.ringpop.membership.getChecksum(checksumFormat) !== checksum) {
+        // A remote node that buckets members the same way reconciles only the
+        // buckets that differ instead. It is sent bucket checksums instead of
+        // changes, see RingPop.protocolPing. Bucket checksums only add up to
+        // the incremental checksum.
+        if (checksumFormat === INCREMENTAL_CHECKSUM &&
+            bucketCount === this.ringpop.membership.bucketCount &&
+            this.ringpop.canBucketSync(source)) {
+            this.ringpop.stat('increment', 'bucket-sync.offer');
+            return [];
+        }
+
         this.ringpop.stat('increment', 'full-sync');
         this.ringpop.logger.info('full sync', {
-            localChecksum: this.ringpop.membership.checksum,
+            localChecksum: this.ringpop.membership.getChecksum(checksumFormat),
             remoteChecksum: checksum,
             remoteNode: source
         });
@@ -108,9 +154,10 @@ function MemberIterator(ring) {
 
 MemberIterator.prototype.next = function next() {
     var membersVisited = {};
+    var numMembersVisited = 0;
     var maxMembersToVisit = this.ring.membership.getMemberCount();
 
-    while (Object.keys(membersVisited).length < maxMembersToVisit) {
+    while (numMembersVisited < maxMembersToVisit) {
         this.currentIndex++;
 
         if (this.currentIndex >= this.ring.membership.getMemberCount()) {
@@ -121,7 +168,10 @@ MemberIterator.prototype.next = function next() {
 
         var member = this.ring.membership.getMemberAt(this.currentIndex);
 
-        membersVisited[member.address] = true;
+        if (!membersVisited[member.address]) {
+            membersVisited[member.address] = true;
+            numMembersVisited++;
+        }
 
         if (Membership.isPingable(member)) {
             return member;
@@ -133,9 +183,27 @@ MemberIterator.prototype.next = function next() {
 
 function Membership(ringpop) {
     this.ringpop = ringpop;
-    this.members = [];
+    this.store = new MemberStore(Membership.isPingable);
     this.version = 0;
     this.checksum = null;
+    this.checksumSum = 0;
+    this.memberChecksums = {};
+    this.legacyChecksum = null;
+
+    // Members are partitioned into buckets by address. Each bucket has its
+    // own checksum so that nodes can tell which parts of their membership
+    // differ and only exchange those.
+    this.bucketCount = BUCKET_COUNT;
+    this.bucketChecksums = [];
+    this.addressBuckets = {};
+    this.resetBucketChecksums();
+
+    // Incarnation numbers of evicted members keyed by address. Changes for
+    // an evicted member are ignored unless they carry a higher incarnation
+    // number, so that stale gossip cannot resurrect it. By the time a
+    // tombstone expires, a tombstone period after the eviction, that gossip
+    // has died out.
+    this.tombstones = {};
 }
 
 util.inherits(Membership, EventEmitter);
@@ -144,6 +212,7 @@ Membership.isAliveOverride = function isAliveOverride(member, change) {
     return change.status === 'alive' &&
         ((member.status === 'suspect' && change.incarnationNumber > member.incarnationNumber) ||
         (member.status === 'faulty' && change.incarnationNumber > member.incarnationNumber) ||
+        (member.status === 'leave' && change.incarnationNumber > member.incarnationNumber) ||
         (member.status === 'alive' && change.incarnationNumber > member.incarnationNumber));
 };
 
@@ -151,26 +220,53 @@ Membership.isFaultyOverride = function isFaultyOverride(member, change) {
     return change.status === 'faulty' &&
         ((member.status === 'suspect' && change.incarnationNumber >= member.incarnationNumber) ||
         (member.status === 'faulty' && change.incarnationNumber > member.incarnationNumber) ||
+        (member.status === 'leave' && change.incarnationNumber > member.incarnationNumber) ||
         (member.status === 'alive' && change.incarnationNumber > member.incarnationNumber));
 };
 
+Membership.isLeaveOverride = function isLeaveOverride(member, change) {
+    return change.status === 'leave' &&
+        ((member.status === 'suspect' && change.incarnationNumber >= member.incarnationNumber) ||
+        (member.status === 'faulty' && change.incarnationNumber >= member.incarnationNumber) ||
+        (member.status === 'leave' && change.incarnationNumber > member.incarnationNumber) ||
+        (member.status === 'alive' && change.incarnationNumber >= member.incarnationNumber));
+};
+
+// A local member that has left the cluster does not refute suspicion. It
+// stays gone until it is explicitly rejoined.
 Membership.isLocalFaultyOverride = function isLocalFaultyOverride(member, change) {
-    return member.isLocal && change.status === 'faulty';
+    return member.isLocal && member.status !== 'leave' && change.status === 'faulty';
 };
 
 Membership.isLocalSuspectOverride = function isLocalSuspectOverride(member, change) {
-    return member.isLocal && change.status === 'suspect';
+    return member.isLocal && member.status !== 'leave' && change.status === 'suspect';
 };
 
 Membership.isSuspectOverride = function isSuspectOverride(member, change) {
     return change.status === 'suspect' &&
         ((member.status === 'suspect' && change.incarnationNumber > member.incarnationNumber) ||
         (member.status === 'faulty' && change.incarnationNumber > member.incarnationNumber) ||
+        (member.status === 'leave' && change.incarnationNumber > member.incarnationNumber) ||
         (member.status === 'alive' && change.incarnationNumber >= member.incarnationNumber));
 };
 
+// A suspicion of an already suspected member, at the same incarnation
+// number, independently confirms that suspicion.
+Membership.isSuspectConfirmation = function isSuspectConfirmation(member, change) {
+    return change.status === 'suspect' && member.status === 'suspect' &&
+        change.incarnationNumber === member.incarnationNumber && !!change.source;
+};
+
+// Labels only ever change along with the incarnation number. Changes that
+// carry no labels, e.g. from nodes that do not know them, leave them as is.
+Membership.applyLabels = function applyLabels(member, change) {
+    if (change.labels) {
+        member.labels = change.labels;
+    }
+};
+
 Membership.isPingable = function isPingable(member) {
-    return !member.isLocal && member.status === 'alive' || member.status === 'suspect';
+    return !member.isLocal && (member.status === 'alive' || member.status === 'suspect');
 };
 
 Membership.prototype.addMember = function addMember(member, force, noEvent) {
@@ -185,34 +281,61 @@ Membership.prototype.addMember = function addMember(member, force, noEvent) {
         isLocal: this.ringpop.hostPort === member.address
     };
 
+    if (member.labels) {
+        newMember.labels = member.labels;
+    }
+
     if (newMember.isLocal) {
         this.localMember = newMember;
     }
 
-    this.members.splice(this.getJoinPosition(), 0, newMember);
+    this.store.add(newMember);
 
     if (!noEvent) {
-        this._emitUpdated(_.extend(newMember, { type: 'new' }));
+        this._emitUpdated(_.extend(newMember, {
+            type: 'new',
+            prevStatus: null,
+            prevIncarnationNumber: null
+        }));
     }
 };
 
-Membership.prototype.computeChecksum = function computeChecksum() {
-    /* The membership checksum is a farmhash of the checksum string computed
-     * for each member then joined with all other member checksum strings by ';'.
-     * As an example, the checksum string for a member might be:
+Membership.prototype.computeChecksum = function computeChecksum(updates) {
+    /* The membership checksum is the sum, modulo 2^32, of a farmhash of the
+     * checksum string computed for each member. As an example, the checksum
+     * string for a member might be:
      *
      *     localhost:3000alive1414142122274
      *
-     * And joined together with other members:
+     * The member fields that are part of the checksum string are: address, status,
+     * incarnation number and labels, if the member has any. Labels are appended
+     * sorted by key, e.g.:
      *
-     *    localhost:3000alive1414142122274;localhost:3001alive1414142122275
+     *     localhost:3000alive1414142122274;role=api;zone=west
      *
-     * The member fields that are part of the checksum string are: address, status and
-     * incarnation number.
+     * Summing makes the checksum independent of the order of members and lets it
+     * be maintained incrementally. Only the members that were updated have their
+     * hash recomputed. Without updates, the checksum is computed from scratch.
      */
     var start = new Date();
 
-    this.checksum = farmhash.hash32(this.generateChecksumString());
+    if (updates) {
+        for (var i = 0; i < updates.length; i++) {
+            this.updateMemberChecksum(updates[i].address);
+        }
+    } else {
+        this.memberChecksums = {};
+        this.checksumSum = 0;
+        this.resetBucketChecksums();
+
+        var members = this.store.getAll();
+        for (var j = 0; j < members.length; j++) {
+            this.updateMemberChecksum(members[j].address);
+        }
+    }
+
+    this.checksum = this.checksumSum;
+    this.legacyChecksum = null;
 
     this.ringpop.stat('timing', 'compute-checksum', start);
     this.ringpop.stat('gauge', 'checksum', this.checksum);
@@ -220,75 +343,208 @@ Membership.prototype.computeChecksum = function computeChecksum() {
     return this.checksum;
 };
 
+// The checksum in the given format, see Membership.CHECKSUM_CAPABILITY. The
+// legacy checksum is computed on demand, once per change of the checksum.
+Membership.prototype.getChecksum = function getChecksum(format) {
+    if (format === INCREMENTAL_CHECKSUM) {
+        return this.checksum;
+    }
+
+    if (this.legacyChecksum === null) {
+        var checksumStrings = this.store.getAll().map(function(member) {
+            return member.address + member.status + member.incarnationNumber;
+        });
+
+        this.legacyChecksum = farmhash.hash32(checksumStrings.sort().join(';'));
+    }
+
+    return this.legacyChecksum;
+};
+
+Membership.prototype.updateMemberChecksum = function updateMemberChecksum(address) {
+    var member = this.findMemberByAddress(address);
+    var prevChecksum = this.memberChecksums[address] || 0;
+    var newChecksum = member ?
+        farmhash.hash32(Membership.generateChecksumString(member)) : 0;
+
+    if (member) {
+        this.memberChecksums[address] = newChecksum;
+    } else {
+        delete this.memberChecksums[address];
+    }
+
+    this.checksumSum = (this.checksumSum - prevChecksum + newChecksum) >>> 0;
+
+    var bucket = this.getBucket(address);
+    this.bucketChecksums[bucket] =
+        (this.bucketChecksums[bucket] - prevChecksum + newChecksum) >>> 0;
+};
+
+Membership.prototype.findDifferentBuckets = function findDifferentBuckets(remoteBucketChecksums) {
+    var buckets = [];
+
+    for (var i = 0; i < this.bucketCount; i++) {
+        if (this.bucketChecksums[i] !== remoteBucketChecksums[i]) {
+            buckets.push(i);
+        }
+    }
+
+    return buckets;
+};
+
+Membership.prototype.getBucket = function getBucket(address) {
+    var bucket = this.addressBuckets[address];
+
+    if (typeof bucket === 'undefined') {
+        bucket = farmhash.hash32(address) % this.bucketCount;
+        this.addressBuckets[address] = bucket;
+    }
+
+    return bucket;
+};
+
+Membership.prototype.getBucketChecksums = function getBucketChecksums() {
+    return this.bucketChecksums.slice();
+};
+
+Membership.prototype.resetBucketChecksums = function resetBucketChecksums() {
+    for (var i = 0; i < this.bucketCount; i++) {
+        this.bucketChecksums[i] = 0;
+    }
+};
+
 Membership.prototype.hasMember = function hasMember(member) {
     return !!this.findMemberByAddress(member.address);
 };
 
+Membership.prototype.evictMember = function evictMember(address) {
+    var member = this.findMemberByAddress(address);
+
+    if (!member || member.isLocal ||
+        (member.status !== 'faulty' && member.status !== 'leave')) {
+        return;
+    }
+
+    this.store.remove(member.address);
+    this.pruneTombstones();
+    this.tombstones[member.address] = {
+        incarnationNumber: member.incarnationNumber,
+        expiresAt: Date.now() + this.ringpop.tombstonePeriod
+    };
+
+    this._emitUpdated(_.extend(member, {
+        type: 'evict',
+        prevStatus: member.status,
+        prevIncarnationNumber: member.incarnationNumber
+    }));
+};
+
 Membership.prototype.findMemberByAddress = function findMemberByAddress(address) {
-    return _.find(this.members, function(member) {
-        return member.address === address;
-    });
+    return this.store.find(address);
 };
 
-Membership.prototype.generateChecksumString = function generateChecksumString() {
-    var checksumStrings = [];
+Membership.CHECKSUM_CAPABILITY = 'incremental-checksum';
+Membership.INCREMENTAL_CHECKSUM = INCREMENTAL_CHECKSUM;
+Membership.LEGACY_CHECKSUM = LEGACY_CHECKSUM;
 
-    for (var i = 0; i < this.members.length; ++i) {
-        var member = this.members[i];
+Membership.generateChecksumString = function generateChecksumString(member) {
+    return member.address + member.status + member.incarnationNumber +
+        Membership.generateLabelsString(member.labels);
+};
 
-        checksumStrings.push(member.address + member.status + member.incarnationNumber);
+Membership.generateLabelsString = function generateLabelsString(labels) {
+    if (!labels) {
+        return '';
     }
 
-    return checksumStrings.sort().join(';');
-};
-
-Membership.prototype.getJoinPosition = function getJoinPosition() {
-    return Math.floor(Math.random() * (this.members.length - 0)) + 0;
+    return Object.keys(labels).sort().map(function(key) {
+        return ';' + key + '=' + labels[key];
+    }).join('');
 };
 
+// Members are indexed in ping order, which is shuffled by the member iterator
 Membership.prototype.getMemberAt = function getMemberAt(index) {
-    return this.members[index];
+    return this.store.getPingOrderAt(index);
 };
 
 Membership.prototype.getMemberCount = function getMemberCount() {
-    return this.members.length;
+    return this.store.getCount();
+};
+
+Membership.prototype.getFaultyMembers = function getFaultyMembers() {
+    return this.store.getAll().filter(function isFaulty(member) {
+        return member.status === 'faulty';
+    });
 };
 
 Membership.prototype.getRandomPingableMembers = function(n, excluding) {
-    // TODO Revisit to make faster
-    return _.chain(this.members)
-        .reject(function(member) { return excluding.indexOf(member.address) > -1; })
-        .filter(function(member) { return Membership.isPingable(member); })
-        .sample(n)
-        .value();
+    return this.store.samplePingable(n, excluding);
 };
 
 Membership.prototype.getState = function(incomingChecksum) {
-    return this.members.map(function(member) {
+    return this.store.getAll().map(function(member) {
         return {
             address: member.address,
             status: member.status,
-            incarnationNumber: member.incarnationNumber
+            incarnationNumber: member.incarnationNumber,
+            labels: member.labels
         };
     });
 };
 
+Membership.prototype.getStateOfBuckets = function getStateOfBuckets(buckets) {
+    var self = this;
+
+    return this.getState().filter(function(member) {
+        return buckets.indexOf(self.getBucket(member.address)) > -1;
+    });
+};
+
 Membership.prototype.getStats = function getStats() {
     return {
         checksum: this.checksum,
         members: this.getState().sort(function (a, b) {
             return a.address.localeCompare(b.address);
         }),
+        tombstones: this.pruneTombstones(),
         version: this.version
     };
 };
 
+Membership.prototype.isTombstoned = function isTombstoned(change) {
+    var tombstone = this.tombstones[change.address];
+
+    if (!tombstone) {
+        return false;
+    }
+
+    if (tombstone.expiresAt <= Date.now()) {
+        delete this.tombstones[change.address];
+        return false;
+    }
+
+    return (change.incarnationNumber || 0) <= tombstone.incarnationNumber;
+};
+
+// Drops expired tombstones and returns the number of those remaining
+Membership.prototype.pruneTombstones = function pruneTombstones() {
+    var now = Date.now();
+
+    Object.keys(this.tombstones).forEach(function pruneTombstone(address) {
+        if (this.tombstones[address].expiresAt <= now) {
+            delete this.tombstones[address];
+        }
+    }, this);
+
+    return Object.keys(this.tombstones).length;
+};
+
 Membership.prototype.shuffle = function shuffle() {
-    this.members = _.shuffle(this.members);
+    this.store.shufflePingOrder();
 };
 
 Membership.prototype.toString = function toString() {
-    return JSON.stringify(_.pluck(this.members, 'address'));
+    return JSON.stringify(_.pluck(this.store.getAll(), 'address'));
 };
 
 Membership.prototype.update = function update(changes) {
@@ -303,36 +559,71 @@ Membership.prototype.update = function update(changes) {
 
     for (var i = 0 ; i < changes.length; i++) {
         var change = changes[i];
+
+        // Gossiped labels end up in every membership list and every ping, so
+        // changes whose labels exceed the limits are dropped.
+        if (change.labels && validateLabels(change.labels)) {
+            this.ringpop.stat('increment', 'labels.rejected');
+            continue;
+        }
+
         var member = this.findMemberByAddress(change.address);
 
         if (member) {
+            var prev = {
+                prevStatus: member.status,
+                prevIncarnationNumber: member.incarnationNumber
+            };
+
             if (Membership.isLocalSuspectOverride(member, change) || Membership.isLocalFaultyOverride(member, change)) {
                 // Local node should never allow itself to become suspect or faulty. In response,
-                // it affirms its "aliveness" and bumps its incarnation number.
+                // it affirms its "aliveness" and bumps its incarnation number past the one
+                // it is accused at.
                 member.status = 'alive';
-                member.incarnationNumber = +new Date();
-                updates.push(_.extend(member, { type: 'alive' }));
+                member.incarnationNumber = this.ringpop.incarnation.next(
+                    Math.max(member.incarnationNumber, change.incarnationNumber || 0));
+                updates.push(_.extend(member, prev, { type: 'alive' }));
             } else if (Membership.isAliveOverride(member, change)) {
                 member.status = 'alive';
                 member.incarnationNumber = change.incarnationNumber || member.incarnationNumber;
-                updates.push(_.extend(member, { type: 'alive' }));
+                Membership.applyLabels(member, change);
+                updates.push(_.extend(member, prev, { type: 'alive' }));
             } else if (Membership.isSuspectOverride(member, change)) {
                 member.status = 'suspect';
                 member.incarnationNumber = change.incarnationNumber || member.incarnationNumber;
-                updates.push(_.extend(member, { type: 'suspect' }));
+                Membership.applyLabels(member, change);
+                updates.push(_.extend(member, prev, { type: 'suspect', source: change.source }));
             } else if (Membership.isFaultyOverride(member, change)) {
                 member.status = 'faulty';
                 member.incarnationNumber = change.incarnationNumber || member.incarnationNumber;
-                updates.push(_.extend(member, { type: 'faulty' }));
+                Membership.applyLabels(member, change);
+                updates.push(_.extend(member, prev, { type: 'faulty' }));
+            } else if (Membership.isLeaveOverride(member, change)) {
+                member.status = 'leave';
+                member.incarnationNumber = change.incarnationNumber || member.incarnationNumber;
+                Membership.applyLabels(member, change);
+                updates.push(_.extend(member, prev, { type: 'leave' }));
+            } else if (Membership.isSuspectConfirmation(member, change)) {
+                this.emit('suspectConfirmed', member, change.source);
             }
+
+            this.store.refresh(member);
+        } else if (this.isTombstoned(change) || this.ringpop.isRejected(change)) {
+            continue;
         } else {
+            delete this.tombstones[change.address];
             member = {
                 address: change.address,
                 status: change.status,
-                incarnationNumber: change.incarnationNumber
+                incarnationNumber: change.incarnationNumber,
+                labels: change.labels
             };
             this.addMember(member, true, true);
-            updates.push(_.extend(member, { type: 'new' }));
+            updates.push(_.extend(member, {
+                type: 'new',
+                prevStatus: null,
+                prevIncarnationNumber: null
+            }));
         }
     }
 
@@ -345,7 +636,7 @@ Membership.prototype._emitUpdated = function _emitUpdated(updates) {
     updates = Array.isArray(updates) ? updates : [updates];
 
     this.version++;
-    this.computeChecksum();
+    this.computeChecksum(updates);
 
     this.emit('updated', updates);
 };
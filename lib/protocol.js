@@ -0,0 +1,102 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var TypedError = require('error/typed');
+
+// Version 1 is the protocol of nodes that predate versioning. Their messages
+// carry no version and are taken to be of version 1.
+var PROTOCOL_VERSION = 1;
+var MIN_PROTOCOL_VERSION = 1;
+
+// Optional features that peers advertise alongside their version. Other
+// capabilities are added by the modules that implement them.
+var BUCKET_SYNC = 'bucket-sync';
+var CAPABILITIES = [
+    BUCKET_SYNC
+];
+
+var LEGACY_PROTOCOL = {
+    version: 1,
+    minVersion: 1,
+    capabilities: []
+};
+
+var IncompatibleProtocolError = TypedError({
+    type: 'ringpop.invalid-join.protocol',
+    message: 'A node tried joining with protocol versions {remoteMinVersion}' +
+        ' to {remoteVersion}, none of which are supported by versions' +
+        ' {minVersion} to {version}.',
+    minVersion: null,
+    version: null,
+    remoteMinVersion: null,
+    remoteVersion: null
+});
+
+// Describes the protocol versions and capabilities of the local node, and
+// negotiates the version to speak with peers.
+function Protocol(options) {
+    options = options || {};
+    this.version = options.version || PROTOCOL_VERSION;
+    this.minVersion = options.minVersion || MIN_PROTOCOL_VERSION;
+    this.capabilities = options.capabilities || CAPABILITIES.slice();
+}
+
+Protocol.prototype.describe = function describe() {
+    return {
+        version: this.version,
+        minVersion: this.minVersion,
+        capabilities: this.capabilities
+    };
+};
+
+Protocol.prototype.addCapability = function addCapability(capability) {
+    if (!this.hasCapability(capability)) {
+        this.capabilities.push(capability);
+    }
+};
+
+Protocol.prototype.hasCapability = function hasCapability(capability) {
+    return this.capabilities.indexOf(capability) > -1;
+};
+
+// Returns the highest version supported by both sides, or null if there is
+// none.
+Protocol.prototype.negotiate = function negotiate(remote) {
+    remote = remote || LEGACY_PROTOCOL;
+
+    var version = Math.min(this.version, remote.version || 1);
+    var minVersion = Math.max(this.minVersion, remote.minVersion || 1);
+
+    return version >= minVersion ? version : null;
+};
+
+Protocol.prototype.createIncompatibleError = function createIncompatibleError(remote) {
+    remote = remote || LEGACY_PROTOCOL;
+
+    return IncompatibleProtocolError({
+        minVersion: this.minVersion,
+        version: this.version,
+        remoteMinVersion: remote.minVersion || 1,
+        remoteVersion: remote.version || 1
+    });
+};
+
+Protocol.BUCKET_SYNC = BUCKET_SYNC;
+
+module.exports = Protocol;
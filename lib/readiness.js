@@ -0,0 +1,137 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var TypedError = require('error/typed');
+
+var InvalidReadinessPolicyError = TypedError({
+    type: 'ringpop.readiness.invalid-policy',
+    message: 'A readiness policy must be one of minMembers, bootstrapHostsAlive' +
+        ' or checksumAgreement, a function, an object with an isMet method' +
+        ' or an array of those',
+    policy: null
+});
+
+// A readiness policy decides when a node that has joined the cluster has a
+// view of the ring trustworthy enough to be ready. All policies implement
+// isMet(ringpop), which is checked whenever membership changes.
+
+// Met once the ring holds at least minMembers members, the local member
+// included.
+function MinMembersPolicy(minMembers) {
+    this.minMembers = minMembers;
+}
+
+MinMembersPolicy.prototype.name = 'min-members';
+
+MinMembersPolicy.prototype.isMet = function isMet(ringpop) {
+    return ringpop.ring.getServerCount() >= this.minMembers;
+};
+
+// Met once at least percentage percent of the bootstrap hosts are alive
+// members.
+function BootstrapHostsAlivePolicy(percentage) {
+    this.percentage = percentage;
+}
+
+BootstrapHostsAlivePolicy.prototype.name = 'bootstrap-hosts-alive';
+
+BootstrapHostsAlivePolicy.prototype.isMet = function isMet(ringpop) {
+    var hosts = ringpop.bootstrapHosts || [];
+    if (hosts.length === 0) {
+        return true;
+    }
+
+    var numAlive = hosts.filter(function isAlive(host) {
+        var member = ringpop.membership.findMemberByAddress(host);
+        return member && member.status === 'alive';
+    }).length;
+
+    return numAlive * 100 >= hosts.length * this.percentage;
+};
+
+// Met once at least numPeers peers last reported a membership checksum equal
+// to the local one, in the same format, through a ping or a ping response.
+function ChecksumAgreementPolicy(numPeers) {
+    this.numPeers = numPeers;
+}
+
+ChecksumAgreementPolicy.prototype.name = 'checksum-agreement';
+
+ChecksumAgreementPolicy.prototype.isMet = function isMet(ringpop) {
+    var peerChecksums = ringpop.peerChecksums;
+
+    var numAgreeing = Object.keys(peerChecksums).filter(function agrees(address) {
+        var peerChecksum = peerChecksums[address];
+        return peerChecksum.checksum ===
+            ringpop.membership.getChecksum(peerChecksum.format);
+    }).length;
+
+    return numAgreeing >= this.numPeers;
+};
+
+function FunctionPolicy(fn) {
+    this.fn = fn;
+}
+
+FunctionPolicy.prototype.name = 'function';
+
+FunctionPolicy.prototype.isMet = function isMet(ringpop) {
+    return !!this.fn(ringpop);
+};
+
+// Met once all of its policies are met.
+function AllPolicy(policies) {
+    this.policies = policies;
+    this.name = policies.map(function getName(policy) {
+        return policy.name;
+    }).join(',');
+}
+
+AllPolicy.prototype.isMet = function isMet(ringpop) {
+    return this.policies.every(function isPolicyMet(policy) {
+        return policy.isMet(ringpop);
+    });
+};
+
+function createReadinessPolicy(policy) {
+    if (Array.isArray(policy)) {
+        return new AllPolicy(policy.map(createReadinessPolicy));
+    } else if (typeof policy === 'function') {
+        return new FunctionPolicy(policy);
+    } else if (policy && typeof policy.isMet === 'function') {
+        return policy;
+    } else if (policy && typeof policy.minMembers === 'number') {
+        return new MinMembersPolicy(policy.minMembers);
+    } else if (policy && typeof policy.bootstrapHostsAlive === 'number') {
+        return new BootstrapHostsAlivePolicy(policy.bootstrapHostsAlive);
+    } else if (policy && typeof policy.checksumAgreement === 'number') {
+        return new ChecksumAgreementPolicy(policy.checksumAgreement);
+    }
+
+    throw InvalidReadinessPolicyError({ policy: policy });
+}
+
+module.exports = {
+    AllPolicy: AllPolicy,
+    BootstrapHostsAlivePolicy: BootstrapHostsAlivePolicy,
+    ChecksumAgreementPolicy: ChecksumAgreementPolicy,
+    createReadinessPolicy: createReadinessPolicy,
+    FunctionPolicy: FunctionPolicy,
+    MinMembersPolicy: MinMembersPolicy
+};
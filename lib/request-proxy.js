@@ -63,18 +63,20 @@ proto.proxyReq = function proxyReq(dest, req, res, opts) {
 
         var options = {
             host: dest,
-            timeout: timeout
+            timeout: timeout,
+            endpoint: '/proxy/req'
         };
+        var checksumFormat = ringpop.getChecksumFormat(dest);
         var head = JSON.stringify({
             url: url,
             headers: headers,
             method: method,
             httpVersion: httpVersion,
-            checksum: ringpop.membership.checksum
+            checksum: ringpop.membership.getChecksum(checksumFormat),
+            checksumFormat: checksumFormat
         });
 
-        ringpop.channel.send(options, '/proxy/req',
-            head, rawBody, onProxy);
+        ringpop.send(options, head, rawBody, onProxy);
     }
 
     function onProxy(err, res1, res2) {
@@ -105,10 +107,11 @@ proto.handleRequest = function handleRequest(head, body, cb) {
     var method = head.method;
     var httpVersion = head.httpVersion;
     var checksum = head.checksum;
+    var localChecksum = ringpop.membership.getChecksum(head.checksumFormat);
 
-    if (checksum !== ringpop.membership.checksum) {
+    if (checksum !== localChecksum) {
         return cb(InvalidCheckSumError({
-            expected: ringpop.membership.checksum,
+            expected: localChecksum,
             actual: checksum
         }));
     }
@@ -33,9 +33,12 @@ function HashRing(options) {
 
 util.inherits(HashRing, EventEmitter);
 
-// TODO - error checking around adding a server that's already there
 // TODO - error checking from rbtree.insert
 HashRing.prototype.addServer = function addServer(name) {
+    if (this.servers[name]) {
+        return;
+    }
+
     this.servers[name] = true;
     for (var i = 0; i < this.replicaPoints; i++) {
         this.rbtree.insert(farmhash.hash32(name + i), name);
@@ -47,9 +50,12 @@ HashRing.prototype.getServerCount = function getServerCount() {
     return Object.keys(this.servers).length;
 };
 
-// TODO - error checking around removing servers that aren't there
 // TODO - error checking from rbtree.insert
 HashRing.prototype.removeServer = function removeServer(name) {
+    if (!this.servers[name]) {
+        return;
+    }
+
     delete this.servers[name];
     for (var i = 0; i < this.replicaPoints; i++) {
         this.rbtree.remove(farmhash.hash32(name + i), name);
@@ -0,0 +1,118 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+// Gains and variance multiplier of RFC 6298
+var ALPHA = 1 / 8;
+var BETA = 1 / 4;
+var K = 4;
+// Timeouts stop doubling well before they could overflow
+var MAX_BACKOFF = 64;
+
+// Keeps a smoothed round-trip time and its variance for each peer, from
+// which the timeout of a ping to that peer is derived the way TCP derives its
+// retransmission timeout. Peers whose round trips are slow or erratic, such
+// as those in another zone, are given longer to respond, within the bounds of
+// minPingTimeout and maxPingTimeout. Peers without estimates get pingTimeout.
+//
+// As in Karn's algorithm, each ping to a peer that times out doubles the
+// timeout of the next, up to maxPingTimeout, until a ping is answered again.
+function RoundTripTimes(ringpop) {
+    this.ringpop = ringpop;
+    this.peers = {};
+    this.backoffs = {};
+}
+
+RoundTripTimes.prototype.record = function record(address, rtt) {
+    var peer = this.peers[address];
+
+    delete this.backoffs[address];
+
+    if (!peer) {
+        this.peers[address] = {
+            srtt: rtt,
+            rttvar: rtt / 2,
+            samples: 1
+        };
+        return;
+    }
+
+    peer.rttvar = (1 - BETA) * peer.rttvar + BETA * Math.abs(peer.srtt - rtt);
+    peer.srtt = (1 - ALPHA) * peer.srtt + ALPHA * rtt;
+    peer.samples++;
+};
+
+RoundTripTimes.prototype.recordTimeout = function recordTimeout(address) {
+    this.backoffs[address] = Math.min(MAX_BACKOFF, (this.backoffs[address] || 1) * 2);
+};
+
+RoundTripTimes.prototype.remove = function remove(address) {
+    delete this.peers[address];
+    delete this.backoffs[address];
+};
+
+RoundTripTimes.prototype.getPingTimeout = function getPingTimeout(address) {
+    var timeout = this.getEstimatedTimeout(address);
+    var backoff = this.backoffs[address];
+
+    if (!backoff) {
+        return timeout;
+    }
+
+    // A pingTimeout above maxPingTimeout is not shortened by backing off
+    return Math.max(timeout, Math.min(this.ringpop.maxPingTimeout, timeout * backoff));
+};
+
+RoundTripTimes.prototype.getEstimatedTimeout = function getEstimatedTimeout(address) {
+    var peer = this.peers[address];
+
+    if (!peer) {
+        return this.ringpop.pingTimeout;
+    }
+
+    var timeout = Math.ceil(peer.srtt + K * peer.rttvar);
+
+    return Math.max(this.ringpop.minPingTimeout,
+        Math.min(this.ringpop.maxPingTimeout, timeout));
+};
+
+// A ping-req is answered once the member has pinged the target, so it is
+// given at least as long as a ping to each of them would be.
+RoundTripTimes.prototype.getPingReqTimeout = function getPingReqTimeout(member, target) {
+    return Math.max(this.ringpop.pingReqTimeout,
+        this.getPingTimeout(member) + this.getPingTimeout(target));
+};
+
+RoundTripTimes.prototype.getStats = function getStats() {
+    var stats = {};
+
+    Object.keys(this.peers).sort().forEach(function addPeer(address) {
+        var peer = this.peers[address];
+
+        stats[address] = {
+            srtt: Math.round(peer.srtt),
+            rttvar: Math.round(peer.rttvar),
+            samples: peer.samples,
+            pingTimeout: this.getPingTimeout(address)
+        };
+    }, this);
+
+    return stats;
+};
+
+module.exports = RoundTripTimes;
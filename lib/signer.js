@@ -0,0 +1,175 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var crypto = require('crypto');
+var TypedError = require('error/typed');
+
+var safeParse = require('./util').safeParse;
+
+var InvalidSignatureError = TypedError({
+    type: 'ringpop.invalid-signature',
+    message: 'A message to {endpoint} was rejected because its signature is' +
+        ' missing or invalid',
+    endpoint: null
+});
+
+var StaleSignatureError = TypedError({
+    type: 'ringpop.invalid-signature.stale',
+    message: 'A message to {endpoint} was rejected because it was signed' +
+        ' {skew}ms away from the local time, more than the allowed {maxSkew}ms',
+    endpoint: null,
+    skew: null,
+    maxSkew: null
+});
+
+// Signed requests are only accepted within this many milliseconds of the
+// time they were signed at, so that a captured request cannot be replayed
+// later on.
+var MAX_SKEW = 30000;
+
+// Endpoints whose requests are signed when signing keys are configured
+var SIGNED_ENDPOINTS = [
+    '/protocol/join',
+    '/protocol/leave',
+    '/protocol/ping',
+    '/protocol/ping-req',
+    '/protocol/sync',
+    '/proxy/req'
+];
+
+// Signs requests with an HMAC of a shared secret. The first key signs, all
+// keys verify. Keys are rotated by first adding the new key after the old one
+// everywhere, then moving it to the front, then removing the old one.
+//
+// The signature, the time of signing and the original head of a request
+// travel in an envelope that replaces its head.
+//
+// In permissive mode, requests are signed but unsigned requests are accepted
+// too, so that signing can be turned on one node at a time. Requests with a
+// signature that is invalid are still rejected.
+function Signer(keys, options) {
+    options = options || {};
+
+    this.isPermissive = options.mode === 'permissive';
+    this.maxSkew = options.maxSkew || MAX_SKEW;
+    this.setKeys(keys);
+}
+
+Signer.prototype.isEnabled = function isEnabled() {
+    return this.keys.length > 0;
+};
+
+Signer.prototype.isSigned = function isSigned(endpoint) {
+    return this.isEnabled() && SIGNED_ENDPOINTS.indexOf(endpoint) > -1;
+};
+
+Signer.prototype.setKeys = function setKeys(keys) {
+    if (typeof keys === 'string') {
+        keys = [keys];
+    }
+
+    this.keys = Array.isArray(keys) ? keys.slice() : [];
+};
+
+Signer.prototype.computeSignature = function computeSignature(key, endpoint, envelope, body) {
+    return crypto.createHmac('sha256', key)
+        .update(endpoint + '\n')
+        .update(envelope.timestamp + '\n')
+        .update(envelope.head || '')
+        .update('\n')
+        .update(body || '')
+        .digest('hex');
+};
+
+// Returns the head and the body to send in place of the given ones
+Signer.prototype.sign = function sign(endpoint, head, body) {
+    if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body);
+    }
+
+    if (head && typeof head === 'object' && !Buffer.isBuffer(head)) {
+        head = JSON.stringify(head);
+    }
+
+    var envelope = {
+        head: head ? head.toString() : null,
+        timestamp: Date.now()
+    };
+    envelope.signature = this.computeSignature(this.keys[0], endpoint, envelope, body);
+
+    return {
+        head: JSON.stringify(envelope),
+        body: body
+    };
+};
+
+// Calls back with the original head of a request if it is signed by any of
+// the keys within the allowed skew, with a StaleSignatureError if it was
+// signed too long ago, or with an InvalidSignatureError otherwise. In
+// permissive mode, unsigned requests are called back with as they are, and
+// with false as third argument.
+Signer.prototype.verify = function verify(endpoint, head, body, callback) {
+    var envelope = head ? safeParse(head.toString()) : null;
+
+    if (!envelope || typeof envelope.signature !== 'string') {
+        if (this.isPermissive) {
+            return callback(null, head, false);
+        }
+
+        return callback(InvalidSignatureError({ endpoint: endpoint }));
+    }
+
+    var isValid = typeof envelope.timestamp === 'number' &&
+        this.keys.some(function isSignedBy(key) {
+            return isEqual(envelope.signature,
+                this.computeSignature(key, endpoint, envelope, body));
+        }, this);
+
+    if (!isValid) {
+        return callback(InvalidSignatureError({ endpoint: endpoint }));
+    }
+
+    var skew = Math.abs(Date.now() - envelope.timestamp);
+    if (skew > this.maxSkew) {
+        return callback(StaleSignatureError({
+            endpoint: endpoint,
+            skew: skew,
+            maxSkew: this.maxSkew
+        }));
+    }
+
+    callback(null, envelope.head, true);
+};
+
+// Compares in constant time, so that the time taken to reject a signature
+// does not tell how much of it is right.
+function isEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+
+    var diff = 0;
+    for (var i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+
+    return diff === 0;
+}
+
+module.exports = Signer;
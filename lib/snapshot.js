@@ -0,0 +1,121 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var clearInterval = require('timers').clearInterval;
+var fs = require('fs');
+
+var safeParse = require('./util').safeParse;
+
+// Periodically persists the membership of a node, so that a restarted node
+// has more to go on than its bootstrap hosts file. A snapshot is only ever a
+// starting point. The members it lists are only used as join candidates, and
+// the membership is learned from whichever of them are joined.
+function Snapshot(ringpop, options) {
+    this.ringpop = ringpop;
+    this.file = options.file;
+    this.interval = options.interval;
+    this.timer = null;
+}
+
+// Returns the members of the snapshot that were alive or suspect when it was
+// taken, or null if there is no usable snapshot.
+Snapshot.prototype.read = function read() {
+    if (!this.file || !fs.existsSync(this.file)) {
+        return null;
+    }
+
+    var snapshot = null;
+
+    try {
+        snapshot = safeParse(fs.readFileSync(this.file).toString());
+    } catch (e) {
+        this.ringpop.logger.warn('failed to read membership snapshot', {
+            err: e.message,
+            file: this.file
+        });
+        return null;
+    }
+
+    if (!snapshot || snapshot.app !== this.ringpop.app || !Array.isArray(snapshot.members)) {
+        this.ringpop.logger.warn('membership snapshot is invalid', {
+            file: this.file
+        });
+        return null;
+    }
+
+    var self = this;
+
+    return snapshot.members.filter(function(member) {
+        return member.address !== self.ringpop.hostPort &&
+            (member.status === 'alive' || member.status === 'suspect');
+    });
+};
+
+Snapshot.prototype.start = function start() {
+    if (!this.file || this.timer) {
+        return;
+    }
+
+    this.timer = setInterval(this.write.bind(this), this.interval);
+};
+
+Snapshot.prototype.stop = function stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+};
+
+// Written to a temporary file first, then renamed, so that a crash cannot
+// leave a truncated snapshot behind.
+Snapshot.prototype.write = function write(callback) {
+    var self = this;
+    var tmpFile = this.file + '.tmp';
+    var membership = this.ringpop.membership;
+    var snapshot = JSON.stringify({
+        app: this.ringpop.app,
+        hostPort: this.ringpop.hostPort,
+        checksum: membership.checksum,
+        timestamp: Date.now(),
+        members: membership.getState()
+    });
+
+    fs.writeFile(tmpFile, snapshot, function onWrite(err) {
+        if (err) {
+            return onWritten(err);
+        }
+
+        fs.rename(tmpFile, self.file, onWritten);
+    });
+
+    function onWritten(err) {
+        if (err) {
+            self.ringpop.logger.warn('failed to write membership snapshot', {
+                err: err.message,
+                file: self.file
+            });
+        } else {
+            self.ringpop.stat('increment', 'snapshot.write');
+        }
+
+        if (typeof callback === 'function') {
+            callback(err);
+        }
+    }
+};
+
+module.exports = Snapshot;
@@ -0,0 +1,90 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var clearTimeout = require('timers').clearTimeout;
+
+// A suspicion starts out with the maximum timeout. Every independent
+// confirmation, from a source that has not suspected the member before,
+// shrinks the timeout logarithmically until it reaches the minimum once
+// the expected number of confirmations has been received. The time that
+// has already elapsed counts towards the new timeout.
+function Suspicion(options) {
+    this.address = options.address;
+    this.incarnationNumber = options.incarnationNumber;
+    this.minTimeout = options.minTimeout;
+    this.maxTimeout = Math.max(options.maxTimeout, options.minTimeout);
+    this.expectedConfirmations = options.expectedConfirmations;
+    this.onTimeout = options.onTimeout;
+
+    this.sources = {};
+    this.confirmations = 0;
+    this.start = Date.now();
+    this.timer = null;
+
+    if (options.source) {
+        this.sources[options.source] = true;
+    }
+
+    this.schedule();
+}
+
+Suspicion.prototype.cancel = function cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+};
+
+Suspicion.prototype.computeTimeout = function computeTimeout() {
+    if (this.expectedConfirmations < 1) {
+        return this.minTimeout;
+    }
+
+    var fraction = Math.log(this.confirmations + 1) /
+        Math.log(this.expectedConfirmations + 1);
+    var timeout = this.maxTimeout - fraction * (this.maxTimeout - this.minTimeout);
+
+    return Math.max(this.minTimeout, Math.floor(timeout));
+};
+
+// Returns true if the confirmation came from a new source and shortened the
+// suspicion, false otherwise.
+Suspicion.prototype.confirm = function confirm(source) {
+    if (!source || this.sources[source] ||
+        this.confirmations >= this.expectedConfirmations) {
+        return false;
+    }
+
+    this.sources[source] = true;
+    this.confirmations++;
+    this.cancel();
+    this.schedule();
+
+    return true;
+};
+
+Suspicion.prototype.schedule = function schedule() {
+    var self = this;
+    var remaining = this.computeTimeout() - (Date.now() - this.start);
+
+    this.timer = setTimeout(function onTimeout() {
+        self.timer = null;
+        self.onTimeout();
+    }, Math.max(remaining, 0));
+};
+
+module.exports = Suspicion;
@@ -26,13 +26,20 @@ var NoHostsError = TypedError({
     bootstrapHosts: null
 });
 
-var safeParse = require('./util').safeParse;
+var codec = require('./codec');
+var transport = require('./transport');
 
+// Joins joinSize peers in parallel. Peers that fail to respond are retried in
+// rounds, each delayed by an exponentially growing, jittered backoff, until
+// enough peers are joined or the max join duration is exceeded.
 function AdminJoiner(params) {
     this.ringpop = params.ringpop;
     this.target = params.target;
     this.callback = params.callback;
     this.maxJoinDuration = params.maxJoinDuration;
+    this.joinTimeout = params.joinTimeout || this.ringpop.joinTimeout;
+    this.minJoinBackoff = params.minJoinBackoff || this.ringpop.minJoinBackoff;
+    this.maxJoinBackoff = params.maxJoinBackoff || this.ringpop.maxJoinBackoff;
 
     if (typeof this.target === 'function') {
         this.callback = this.target;
@@ -40,22 +47,53 @@ function AdminJoiner(params) {
     }
 
     this.isAborted = false;
-    this.currentPeer = null;
+    this.isDone = false;
     this.timer = null;
+    this.round = 0;
+    this.numPending = 0;
     this.peersJoined = {};
+    this.peersFailed = {};
     this.joinStart = new Date();
     this.candidateHosts = this.selectCandidateHosts();
-    this.peersToJoin = Math.min(this.ringpop.joinSize, this.candidateHosts.length);
+    // Joining a particular host only ever involves that host
+    this.peersToJoin = this.target ? 1 :
+        Math.min(this.ringpop.joinSize, this.candidateHosts.length);
 }
 
+// The bootstrap hosts, and the hosts of the last membership snapshot, other
+// than the local node.
 AdminJoiner.prototype.selectCandidateHosts = function selectCandidateHosts() {
     var self = this;
+    var candidates = this.ringpop.bootstrapHosts.concat(this.ringpop.snapshotHosts || []);
 
-    return this.ringpop.bootstrapHosts.filter(function (hostPort) {
-        return hostPort !== self.ringpop.hostPort;
+    return candidates.filter(function (hostPort, i, hosts) {
+        return hostPort !== self.ringpop.hostPort && hosts.indexOf(hostPort) === i;
     });
 };
 
+// Selects as many of the peers that have not been joined yet as are still
+// needed, at random.
+AdminJoiner.prototype.selectPeers = function selectPeers() {
+    if (this.target && this.target !== this.ringpop.hostPort) {
+        return [this.target];
+    }
+
+    var self = this;
+    var numNeeded = this.peersToJoin - Object.keys(this.peersJoined).length;
+    var peers = this.candidateHosts.filter(function isNotJoined(hostPort) {
+        return !self.peersJoined[hostPort];
+    });
+
+    for (var i = peers.length - 1; i > 0; i--) {
+        var j = Math.floor(Math.random() * (i + 1));
+        var peer = peers[i];
+        peers[i] = peers[j];
+        peers[j] = peer;
+    }
+
+    return peers.slice(0, numNeeded);
+};
+
 AdminJoiner.prototype.sendJoin = function sendJoin() {
     if (this.candidateHosts.length === 0) {
         this.ringpop.logger.warn('no hosts in bootstrap set to join');
@@ -67,38 +105,40 @@ AdminJoiner.prototype.sendJoin = function sendJoin() {
         return;
     }
 
-    if (this.target && this.target !== this.ringpop.hostPort) {
-        this.currentPeer = this.target;
-    } else {
-        this.currentPeer = this.candidateHosts[Math.floor(Math.random() * this.candidateHosts.length)];
-    }
-
-    if (this.peersJoined[this.currentPeer]) {
-        this.rejoin();
-        return;
-    }
-
-    var options = {
-        host: this.currentPeer,
-        timeout: this.ringpop.pingReqTimeout
-    };
+    var peers = this.selectPeers();
     var local = this.ringpop.membership.localMember;
     var body = {
         app: this.ringpop.app,
         source: local.address,
-        incarnationNumber: local.incarnationNumber
+        incarnationNumber: local.incarnationNumber,
+        labels: local.labels,
+        protocol: this.ringpop.protocol.describe()
     };
-    var self = this;
-    this.ringpop.channel.send(options, '/protocol/join', null, body, function (err, res1, res2) {
-        self.onJoin(err, res1, res2);
-    });
+
+    this.round++;
+    this.numPending = peers.length;
+
+    peers.forEach(function sendToPeer(peer) {
+        var options = {
+            host: peer,
+            timeout: this.joinTimeout,
+            endpoint: '/protocol/join'
+        };
+        var self = this;
+        this.ringpop.send(options, null, body, function (err, res1, res2) {
+            self.onJoin(peer, err, res1, res2);
+        });
+    }, this);
 };
 
-AdminJoiner.prototype.onJoin = function onJoin(err, res1, res2) {
-    if (this.isAborted) {
+AdminJoiner.prototype.onJoin = function onJoin(peer, err, res1, res2) {
+    if (this.isAborted || this.isDone) {
         return;
     }
 
+    this.numPending--;
+    err = transport.fromWireError(err);
+
     var currentJoinDuration = new Date() - this.joinStart;
     if (currentJoinDuration > this.maxJoinDuration) {
         this.isAborted = true;
@@ -107,91 +147,188 @@ AdminJoiner.prototype.onJoin = function onJoin(err, res1, res2) {
         this.ringpop.logger.error(exceededMsg, {
             address: this.ringpop.hostPort,
             currentJoinDuration: currentJoinDuration,
-            maxJoinDuration: this.maxJoinDuration
+            maxJoinDuration: this.maxJoinDuration,
+            peersFailed: this.peersFailed
         });
 
         if (this.callback) {
-            var err = new Error(exceededMsg);
-            err.type = 'ringpop.join-duration-exceeded';
-            this.callback(err);
+            var exceededErr = new Error(exceededMsg);
+            exceededErr.type = 'ringpop.join-duration-exceeded';
+            this.callback(exceededErr, this.getResult());
         }
 
         return;
     }
 
-    if (err) {
+    // Peers admit the same nodes, and speak the same protocol versions, so
+    // there is no point in trying others
+    if (err && (err.type === 'ringpop.invalid-join.rejected' ||
+        err.type === 'ringpop.invalid-join.protocol')) {
+        this.isAborted = true;
+        this.peersFailed[peer] = err.message;
+        this.ringpop.logger.error('join was rejected. join aborted', {
+            address: this.ringpop.hostPort,
+            receiverAddress: peer,
+            err: err.message
+        });
+
+        if (this.callback) {
+            this.callback(err, this.getResult());
+        }
+
+        return;
+    }
+
+    var bodyObj = !err ? codec.decodeBody(res1, res2, 'membership') : null;
+    var membership = bodyObj ? bodyObj.membership : null;
+
+    if (err || !bodyObj || !Array.isArray(membership)) {
+        this.peersFailed[peer] = err ? err.message : 'bad response body';
         this.ringpop.logger.warn('join cluster failed', {
-            err: err.message,
+            err: this.peersFailed[peer],
             senderAddress: this.ringpop.hostPort,
             senderApp: this.ringpop.app,
-            receiverAddress: this.currentPeer,
+            receiverAddress: peer,
             numJoined: Object.keys(this.peersJoined).length,
             numToJoin: this.peersToJoin,
-            currentJoinDuration: new Date() - this.joinStart,
+            currentJoinDuration: currentJoinDuration,
             maxJoinDuration: this.maxJoinDuration
         });
+    } else {
+        this.peersJoined[peer] = true;
+        delete this.peersFailed[peer];
+        this.ringpop.recordPeerProtocol(peer, bodyObj.protocol);
+
+        this.ringpop.logger.info('joined cluster', {
+            senderAddress: this.ringpop.hostPort,
+            senderApp: this.ringpop.app,
+            receiverAddress: bodyObj.coordinator,
+            receiverApp: bodyObj.app,
+            numJoined: Object.keys(this.peersJoined).length,
+            numToJoin: this.peersToJoin
+        });
+
+        this.ringpop.membership.update(membership);
+    }
+
+    if (this.numPending > 0) {
+        return;
+    }
+
+    if (Object.keys(this.peersJoined).length < this.peersToJoin) {
         this.rejoin();
         return;
     }
 
-    this.peersJoined[this.currentPeer] = true;
+    this.isDone = true;
 
-    var bodyObj = safeParse(res2.toString());
-    var coordinator = bodyObj && bodyObj.coordinator;
-    var membership = bodyObj && bodyObj.membership;
+    if (this.callback) {
+        this.callback(null, this.getResult());
+    }
+};
 
-    this.ringpop.logger.info('joined cluster', {
-        senderAddress: this.ringpop.hostPort,
-        senderApp: this.ringpop.app,
-        receiverAddress: coordinator,
-        receiverApp: bodyObj.app,
-        numJoined: Object.keys(this.peersJoined).length,
-        numToJoin: this.peersToJoin
-    });
+// The peers that were joined, and the reason each of the peers that could
+// not be joined failed.
+AdminJoiner.prototype.getResult = function getResult() {
+    return {
+        joined: Object.keys(this.peersJoined),
+        failed: this.peersFailed
+    };
+};
 
-    this.ringpop.membership.update(membership);
+// The backoff doubles with every round, up to maxJoinBackoff. Half of it is
+// jittered so that nodes started at the same time spread out their retries.
+AdminJoiner.prototype.getBackoff = function getBackoff() {
+    var backoff = Math.min(this.maxJoinBackoff,
+        this.minJoinBackoff * Math.pow(2, this.round - 1));
 
-    if (Object.keys(this.peersJoined).length < this.peersToJoin) {
-        this.rejoin();
-    } else if (this.callback) {
-        this.callback();
-    }
+    return Math.floor(backoff / 2 + Math.random() * backoff / 2);
 };
 
 AdminJoiner.prototype.rejoin = function rejoin() {
     var self = this;
 
-    // TODO - magic number alert
-    this.timer = setTimeout(sendJoin, 20);
+    this.timer = setTimeout(sendJoin, this.getBackoff());
 
     function sendJoin() {
         self.sendJoin();
     }
 };
 
+// Stops the join. Responses to joins that are still pending are ignored, and
+// the callback is not called.
 AdminJoiner.prototype.destroy = function destroy() {
+    this.isAborted = true;
     clearTimeout(this.timer);
+};
+
+// Reconciles the buckets of membership that differ between the local node
+// and a remote node. The local members of those buckets are sent to the
+// remote node, which responds with its own members of those buckets after
+// having applied them.
+function BucketSyncSender(ring, address, buckets) {
+    this.ring = ring;
+    this.address = address;
+    this.buckets = buckets;
+
+    var options = {
+        host: address,
+        timeout: ring.localHealth.scale(ring.roundTripTimes.getPingTimeout(address)),
+        endpoint: '/protocol/sync'
+    };
+    var message = codec.encodeBody(ring.getCodec(address), {
+        source: ring.whoami(),
+        buckets: buckets,
+        members: ring.membership.getStateOfBuckets(buckets)
+    }, 'members');
+
+    this.ring.logger.debug('bucket sync send member=' + address + ' buckets=' + JSON.stringify(buckets), 'p');
+
+    var self = this;
+    this.ring.send(options, message.head, message.body, function(err, res1, res2) {
+        self.onSync(err, res1, res2);
+    });
 }
 
+BucketSyncSender.prototype.onSync = function onSync(err, res1, res2) {
+    if (err) {
+        this.ring.logger.debug('bucket sync failed member=' + this.address + ' err=' + err.message, 'p');
+        return;
+    }
+
+    var bodyObj = codec.decodeBody(res1, res2, 'members');
+    if (!bodyObj || !Array.isArray(bodyObj.members)) {
+        this.ring.logger.warn('bucket sync failed member=' + this.address + ' bad response body');
+        return;
+    }
+
+    this.ring.membership.update(bodyObj.members);
+};
+
 function PingReqSender(ring, member, target, callback) {
     this.ring = ring;
     this.member = member;
     this.target = target;
     this.callback = callback;
+    this.changes = this.ring.issueMembershipChanges();
 
     var options = {
         host: member.address,
-        timeout: this.ring.pingReqTimeout
+        timeout: this.ring.localHealth.scale(
+            this.ring.roundTripTimes.getPingReqTimeout(member.address, target.address)),
+        endpoint: '/protocol/ping-req'
     };
-    var body = {
-        checksum: this.checksum,
-        changes: this.ring.issueMembershipChanges(),
+    var checksumFormat = this.ring.getChecksumFormat(member.address);
+    var message = codec.encodeBody(this.ring.getCodec(member.address), {
+        checksum: this.ring.membership.getChecksum(checksumFormat),
+        checksumFormat: checksumFormat,
+        changes: this.changes,
         source: this.ring.whoami(),
         target: target.address
-    };
+    }, 'changes');
 
     var self = this;
-    this.ring.channel.send(options, '/protocol/ping-req', null, body, function(err, res1, res2) {
+    this.ring.send(options, message.head, message.body, function(err, res1, res2) {
         self.onPingReq(err, res1, res2);
     });
 }
@@ -199,16 +336,25 @@ function PingReqSender(ring, member, target, callback) {
 PingReqSender.prototype.onPingReq = function (err, res1, res2) {
     if (err) {
         this.ring.logger.warn('bad response to ping-req from ' + this.member.address + ' err=' + err.message);
+
+        // Only a missing response hints at a fault of the local node. An
+        // error response means the member was reached.
+        if (transport.isTimeout(err)) {
+            this.ring.localHealth.onFailure('ping-req-timeout');
+        }
+
         return this.callback(true);
     }
 
-    var bodyObj = safeParse(res2.toString());
-    if (! bodyObj || !bodyObj.changes || bodyObj.pingStatus === 'undefined') {
+    var bodyObj = codec.decodeBody(res1, res2, 'changes');
+    var changes = bodyObj ? bodyObj.changes : null;
+    if (! bodyObj || !Array.isArray(changes) || bodyObj.pingStatus === 'undefined') {
         this.ring.logger.warn('bad response body in ping-req from ' + this.member.address);
         return this.callback(true);
     }
 
-    this.ring.membership.update(bodyObj.changes);
+    this.ring.dissemination.acknowledgeChanges(this.changes);
+    this.ring.membership.update(changes);
     this.ring.logger.debug('ping-req recv peer=' + this.member.address + ' target=' + this.target.address + ' isOk=' + bodyObj.pingStatus);
     this.callback(!!!bodyObj.pingStatus); // I don't not totally understand this line
 };
@@ -217,22 +363,29 @@ function PingSender(ring, member, callback) {
     this.ring = ring;
     this.address = member.address || member;
     this.callback = callback;
+    this.changes = ring.issueMembershipChanges();
 
     var options = {
         host: this.address,
-        timeout: ring.pingTimeout
+        timeout: ring.localHealth.scale(ring.roundTripTimes.getPingTimeout(this.address)),
+        endpoint: '/protocol/ping'
     };
-    var changes = ring.issueMembershipChanges();
-    var body = {
-        checksum: ring.membership.checksum,
+    var changes = this.changes;
+    var checksumFormat = ring.getChecksumFormat(this.address);
+    var message = codec.encodeBody(ring.getCodec(this.address), {
+        checksum: ring.membership.getChecksum(checksumFormat),
+        checksumFormat: checksumFormat,
         changes: changes,
-        source: ring.whoami()
-    };
+        source: ring.whoami(),
+        bucketCount: ring.membership.bucketCount,
+        protocol: ring.protocol.describe()
+    }, 'changes');
 
     this.ring.logger.debug('ping send member=' + this.address + ' changes=' + JSON.stringify(changes), 'p');
 
     var self = this;
-    this.ring.channel.send(options, '/protocol/ping', null, body, function(err, res1, res2) {
+    this.start = Date.now();
+    this.ring.send(options, message.head, message.body, function(err, res1, res2) {
         self.onPing(err, res1, res2);
     });
 }
@@ -240,15 +393,29 @@ function PingSender(ring, member, callback) {
 PingSender.prototype.onPing = function onPing(err, res1, res2) {
     if (err) {
         this.ring.logger.debug('ping failed member=' + this.address + ' err=' + err.message, 'p');
+
+        if (transport.isTimeout(err)) {
+            this.ring.roundTripTimes.recordTimeout(this.address);
+        }
+
         return this.doCallback(false);
     }
 
-    var bodyObj = safeParse(res2.toString());
-    if (bodyObj && bodyObj.changes) {
+    var bodyObj = codec.decodeBody(res1, res2, 'changes');
+    if (bodyObj && Array.isArray(bodyObj.changes)) {
+        this.ring.roundTripTimes.record(this.address, Date.now() - this.start);
+        this.ring.dissemination.acknowledgeChanges(this.changes);
         this.ring.membership.update(bodyObj.changes);
+        this.ring.recordPeerChecksum(this.address, bodyObj.checksum, bodyObj.checksumFormat);
+        this.ring.recordPeerProtocol(this.address, bodyObj.protocol);
+
+        if (Array.isArray(bodyObj.bucketChecksums)) {
+            this.ring.sendBucketSync(this.address, bodyObj.bucketChecksums);
+        }
+
         return this.doCallback(true, bodyObj);
     }
-    this.ring.logger.warn('ping failed member=' + this.address + ' bad response body=' + res2.toString());
+    this.ring.logger.warn('ping failed member=' + this.address + ' bad response body');
     return this.doCallback(false);
 };
 
@@ -266,6 +433,7 @@ PingSender.prototype.doCallback = function doCallback(isOk, bodyObj) {
 
 module.exports = {
     AdminJoiner: AdminJoiner,
+    BucketSyncSender: BucketSyncSender,
     PingReqSender: PingReqSender,
     PingSender: PingSender
 };
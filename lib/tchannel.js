@@ -20,12 +20,15 @@
 
 'use strict';
 
+var codec = require('./codec');
 var safeParse = require('./util').safeParse;
+var transport = require('./transport');
 
 var commands = {
     '/health': 'health',
 
     '/admin/stats': 'adminStats',
+    '/admin/config': 'adminConfig',
     '/admin/debugSet': 'adminDebugSet',
     '/admin/debugClear': 'adminDebugClear',
     '/admin/gossip': 'adminGossip',
@@ -38,10 +41,14 @@ var commands = {
     '/protocol/join': 'protocolJoin',
     '/protocol/ping': 'protocolPing',
     '/protocol/ping-req': 'protocolPingReq',
+    '/protocol/sync': 'protocolSync',
+    '/protocol/capabilities': 'protocolCapabilities',
 
     '/proxy/req': 'proxyReq'
 };
 
+// Registers ringpop's endpoints with its transport. Despite the name, it is
+// not specific to TChannel: tchannel is any transport, see lib/transport.js.
 function RingPopTChannel(ringPop, tchannel) {
     this.ringPop = ringPop;
     this.tchannel = tchannel;
@@ -51,12 +58,52 @@ function RingPopTChannel(ringPop, tchannel) {
     Object.keys(commands).forEach(registerEndpoint);
 
     function registerEndpoint(url) {
-        var methodName = commands[url];
+        var method = self[commands[url]].bind(self);
 
-        tchannel.register(url, self[methodName].bind(self));
+        tchannel.register(url, function verifyRequest(arg1, arg2, hostInfo, cb) {
+            self.verifyRequest(url, arg1, arg2, function onVerify(err, head) {
+                if (err) {
+                    return respond(err);
+                }
+
+                method(head, arg2, hostInfo, respond);
+            });
+
+            function respond(err, res1, res2) {
+                cb(transport.toWireError(err), res1, res2);
+            }
+        });
     }
 }
 
+// Requests to signed endpoints are only handled if their signature is valid.
+// Their original head is unwrapped from the envelope that carries it.
+RingPopTChannel.prototype.verifyRequest = function verifyRequest(url, arg1, arg2, cb) {
+    var ringPop = this.ringPop;
+
+    if (!ringPop.signer.isSigned(url)) {
+        return cb(null, arg1);
+    }
+
+    ringPop.signer.verify(url, arg1, arg2, function onVerify(err, head, isSigned) {
+        if (err) {
+            ringPop.stat('increment', 'signature.rejected');
+            ringPop.logger.warn('rejected request with invalid signature', {
+                address: ringPop.whoami(),
+                endpoint: url,
+                err: err.message
+            });
+            return cb(err);
+        }
+
+        if (!isSigned) {
+            ringPop.stat('increment', 'signature.missing');
+        }
+
+        cb(null, head);
+    });
+};
+
 RingPopTChannel.prototype.health = function (arg1, arg2, hostInfo, cb) {
     cb(null, null, 'ok');
 };
@@ -65,6 +112,23 @@ RingPopTChannel.prototype.adminStats = function (arg1, arg2, hostInfo, cb) {
     cb(null, null, this.ringPop.getStats());
 };
 
+// Responds with the configuration, after applying the changes in the body if
+// there are any.
+RingPopTChannel.prototype.adminConfig = function (arg1, arg2, hostInfo, cb) {
+    var body = arg2 && arg2.length > 0 ? safeParse(arg2.toString()) : {};
+    if (body === null || typeof body !== 'object') {
+        return cb(new Error('bad JSON in request'));
+    }
+
+    if (Object.keys(body).length === 0) {
+        return cb(null, null, this.ringPop.getConfig());
+    }
+
+    this.ringPop.setConfig(body, function onSetConfig(err, config) {
+        cb(err, null, config);
+    });
+};
+
 RingPopTChannel.prototype.adminDebugSet = function (arg1, arg2, hostInfo, cb) {
     var body = safeParse(arg2.toString());
     if (body && body.debugFlag) {
@@ -84,17 +148,22 @@ RingPopTChannel.prototype.adminGossip = function (arg1, arg2, hostInfo, cb) {
 };
 
 RingPopTChannel.prototype.adminLeave = function (arg1, arg2, hostInfo, cb) {
-    cb(new Error('not implemented'));
+    this.ringPop.adminLeave(function onLeave(err) {
+        if (err) {
+            return cb(err);
+        }
+        cb(null, null, 'ok');
+    });
 };
 
 RingPopTChannel.prototype.adminJoin = function (arg1, arg2, hostInfo, cb) {
     var body = safeParse(arg2.toString());
     if (body) {
-        this.ringPop.adminJoin(body.target, function (err, candidateHosts) {
+        this.ringPop.adminJoin(body.target, function (err, result) {
             if (err) {
                 return cb(err);
             }
-            cb(null, { candidateHosts: candidateHosts });
+            cb(null, null, result);
         });
     } else {
         cb(new Error('bad JSON in request'));
@@ -103,11 +172,9 @@ RingPopTChannel.prototype.adminJoin = function (arg1, arg2, hostInfo, cb) {
 
 RingPopTChannel.prototype.adminReload = function (arg1, arg2, hostInfo, cb) {
     var body = safeParse(arg2.toString());
-    if (body && body.file) {
-        this.ringPop.reload(body.file, function(err) {
-            cb(err);
-        });
-    }
+    this.ringPop.reload(body && body.file, function(err, result) {
+        cb(err, null, result);
+    });
 };
 
 RingPopTChannel.prototype.adminTick = function (arg1, arg2, hostInfo, cb) {
@@ -132,10 +199,10 @@ RingPopTChannel.prototype.protocolJoin = function (arg1, arg2, hostInfo, cb) {
     this.ringPop.protocolJoin({
         app: app,
         source: source,
-        incarnationNumber: incarnationNumber
-    }, function(err, res) {
-        cb(err, null, res);
-    });
+        incarnationNumber: incarnationNumber,
+        labels: body.labels,
+        protocol: body.protocol
+    }, this.respondWithMembers(source, 'membership', cb));
 };
 
 RingPopTChannel.prototype.protocolLeave = function (arg1, arg2, hostInfo, cb) {
@@ -144,19 +211,25 @@ RingPopTChannel.prototype.protocolLeave = function (arg1, arg2, hostInfo, cb) {
         return cb(new Error('need req body with node'));
     }
 
-    var node = body.node;
-
-    this.ringPop.protocolLeave(node);
+    var self = this;
 
-    // In response send back `coordinator` which is node
-    // that handled leave request, aka this node. This will
-    // not be obvious to the requester as the leave could
-    // happen through haproxy.
-    cb(null, null, { coordinator: this.ringPop.whoami() });
+    this.ringPop.protocolLeave({
+        node: body.node
+    }, function onLeave(err) {
+        if (err) {
+            return cb(err);
+        }
+
+        // In response send back `coordinator` which is node
+        // that handled leave request, aka this node. This will
+        // not be obvious to the requester as the leave could
+        // happen through haproxy.
+        cb(null, null, { coordinator: self.ringPop.whoami() });
+    });
 };
 
 RingPopTChannel.prototype.protocolPing = function (arg1, arg2, hostInfo, cb) {
-    var body = safeParse(arg2);
+    var body = codec.decodeBody(arg1, arg2, 'changes');
     if (body === null || !body.source || !body.changes || !body.checksum) {
         return cb(new Error('need req body with source, changes, and checksum'));
     }
@@ -164,14 +237,15 @@ RingPopTChannel.prototype.protocolPing = function (arg1, arg2, hostInfo, cb) {
     this.ringPop.protocolPing({
         source: body.source,
         changes: body.changes,
-        checksum: body.checksum
-    }, function(err, res) {
-        cb(err, null, res);
-    });
+        checksum: body.checksum,
+        checksumFormat: body.checksumFormat,
+        bucketCount: body.bucketCount,
+        protocol: body.protocol
+    }, this.respondWithMembers(body.source, 'changes', cb));
 };
 
 RingPopTChannel.prototype.protocolPingReq = function (arg1, arg2, hostInfo, cb) {
-    var body = safeParse(arg2);
+    var body = codec.decodeBody(arg1, arg2, 'changes');
     if (body === null || !body.source || !body.target || !body.changes || !body.checksum) {
         return cb(new Error('need req body with source, target, changes, and checksum'));
     }
@@ -180,12 +254,45 @@ RingPopTChannel.prototype.protocolPingReq = function (arg1, arg2, hostInfo, cb)
         source: body.source,
         target: body.target,
         changes: body.changes,
-        checksum: body.checksum
-    }, function(err, result) {
-        cb(err, null, result);
+        checksum: body.checksum,
+        checksumFormat: body.checksumFormat
+    }, this.respondWithMembers(body.source, 'changes', cb));
+};
+
+RingPopTChannel.prototype.protocolCapabilities = function (arg1, arg2, hostInfo, cb) {
+    this.ringPop.protocolCapabilities(function(err, res) {
+        cb(err, null, res);
     });
 };
 
+RingPopTChannel.prototype.protocolSync = function (arg1, arg2, hostInfo, cb) {
+    var body = codec.decodeBody(arg1, arg2, 'members');
+    if (body === null || !body.source || !Array.isArray(body.buckets) || !Array.isArray(body.members)) {
+        return cb(new Error('need req body with source, buckets, and members'));
+    }
+
+    this.ringPop.protocolSync({
+        source: body.source,
+        buckets: body.buckets,
+        members: body.members
+    }, this.respondWithMembers(body.source, 'members', cb));
+};
+
+// Responds with a body whose members are its field property, encoded with
+// the codec of the peer at address.
+RingPopTChannel.prototype.respondWithMembers = function respondWithMembers(address, field, cb) {
+    var ringPop = this.ringPop;
+
+    return function respond(err, res) {
+        if (err) {
+            return cb(err);
+        }
+
+        var message = codec.encodeBody(ringPop.getCodec(address), res, field);
+        cb(null, message.head, message.body);
+    };
+};
+
 RingPopTChannel.prototype.proxyReq = function (arg1, arg2, hostInfo, cb) {
     var header = safeParse(arg1);
     if (header === null) {
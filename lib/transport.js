@@ -0,0 +1,131 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var TypedError = require('error/typed');
+
+// A transport carries requests between ringpops. It is any object with
+// these three functions:
+//
+//   send(options, head, body, callback) - sends a request to
+//     options.endpoint of options.host and calls back with (err, head, body)
+//     of the response, or with a TransportTimeoutError after
+//     options.timeout milliseconds
+//   register(endpoint, handler) - handles requests to an endpoint with
+//     handler(head, body, hostInfo, callback)
+//   quit() - stops sending and handling requests
+//
+// A TChannel is adapted to one by TChannelTransport.
+var TransportTimeoutError = TypedError({
+    type: 'ringpop.transport.timeout',
+    message: 'Request to {endpoint} on {host} timed out after {timeout}ms',
+    endpoint: null,
+    host: null,
+    timeout: null
+});
+
+var UnreachableHostError = TypedError({
+    type: 'ringpop.transport.unreachable',
+    message: 'Could not reach {host} to send a request to {endpoint}',
+    endpoint: null,
+    host: null
+});
+
+var UnknownEndpointError = TypedError({
+    type: 'ringpop.transport.unknown-endpoint',
+    message: 'No handler is registered for {endpoint}',
+    endpoint: null
+});
+
+// Whether a request failed for lack of a response in time, as opposed to an
+// error of the receiver. TChannel fails such requests with a plain error.
+function isTimeout(err) {
+    return !!err && (err.type === 'ringpop.transport.timeout' ||
+        err.message === 'timed out');
+}
+
+// Transports such as TChannel respond with the message of a handler error
+// only. The type of a typed error is therefore sent as a prefix of its
+// message, from which fromWireError recovers it.
+var WIRE_ERROR_TYPE = /^(ringpop\.[\w.-]+): /;
+
+function toWireError(err) {
+    if (!err || !err.type || err.message.indexOf(err.type + ': ') === 0) {
+        return err;
+    }
+
+    var wireErr = new Error(err.type + ': ' + err.message);
+    wireErr.type = err.type;
+    return wireErr;
+}
+
+function fromWireError(err) {
+    if (!err || err.type) {
+        return err;
+    }
+
+    var match = WIRE_ERROR_TYPE.exec(err.message);
+    if (!match) {
+        return err;
+    }
+
+    var typedErr = new Error(err.message);
+    typedErr.type = match[1];
+    return typedErr;
+}
+
+// Heads and bodies are sent as buffers. Objects are sent as JSON.
+function toBuffer(arg) {
+    if (Buffer.isBuffer(arg)) {
+        return arg;
+    }
+
+    if (arg === null || arg === undefined) {
+        return new Buffer(0);
+    }
+
+    return new Buffer(typeof arg === 'string' ? arg : JSON.stringify(arg));
+}
+
+// TChannel takes the endpoint of a request as an argument of its own
+function TChannelTransport(channel) {
+    this.channel = channel;
+}
+
+TChannelTransport.prototype.send = function send(options, head, body, callback) {
+    this.channel.send(options, options.endpoint, head, body, callback);
+};
+
+TChannelTransport.prototype.register = function register(endpoint, handler) {
+    this.channel.register(endpoint, handler);
+};
+
+TChannelTransport.prototype.quit = function quit() {
+    this.channel.quit();
+};
+
+module.exports = {
+    fromWireError: fromWireError,
+    isTimeout: isTimeout,
+    TChannelTransport: TChannelTransport,
+    toBuffer: toBuffer,
+    toWireError: toWireError,
+    TransportTimeoutError: TransportTimeoutError,
+    UnknownEndpointError: UnknownEndpointError,
+    UnreachableHostError: UnreachableHostError
+};
@@ -0,0 +1,226 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var test = require('tape');
+
+var codec = require('../lib/codec');
+var InProcessNetwork = require('../lib/in-process-transport').InProcessNetwork;
+var RingPop = require('../index.js');
+
+var changes = [{
+    address: '127.0.0.1:3000',
+    status: 'alive',
+    incarnationNumber: 1433432455321,
+    source: '127.0.0.1:3001',
+    labels: { zone: 'us-east', role: 'api' }
+}, {
+    address: '127.0.0.1:3001',
+    status: 'suspect',
+    incarnationNumber: 1433432455322,
+    source: '127.0.0.1:3001'
+}, {
+    address: '127.0.0.1:3002',
+    status: 'faulty',
+    incarnationNumber: 0
+}, {
+    address: '127.0.0.1:3003',
+    status: 'leave',
+    incarnationNumber: Math.pow(2, 53) - 1
+}];
+
+test('json codec passes members through', function t(assert) {
+    assert.equals(codec.encode(codec.JSON_CODEC, changes), changes, 'encoded unchanged');
+    assert.equals(codec.decode(codec.JSON_CODEC, changes), changes, 'decoded unchanged');
+    assert.equals(codec.decode(undefined, changes), changes, 'no codec is json');
+    assert.end();
+});
+
+test('binary codec round trips members', function t(assert) {
+    var encoded = codec.encode(codec.BINARY_CODEC, changes);
+
+    assert.ok(Buffer.isBuffer(encoded), 'encoded as buffer');
+    assert.ok(encoded.length < JSON.stringify(changes).length, 'smaller than json');
+    assert.deepEquals(codec.decode(codec.BINARY_CODEC, encoded), changes, 'decoded members');
+    assert.deepEquals(codec.decode(codec.BINARY_CODEC,
+        codec.encode(codec.BINARY_CODEC, [])), [], 'empty list');
+    assert.end();
+});
+
+test('binary codec rejects malformed input', function t(assert) {
+    var encoded = codec.encode(codec.BINARY_CODEC, changes);
+    var truncated = encoded.slice(0, 20);
+
+    assert.equals(codec.decode(codec.BINARY_CODEC, truncated), null, 'truncated');
+    assert.equals(codec.decode(codec.BINARY_CODEC, changes), null, 'json array');
+    assert.equals(codec.decode(codec.BINARY_CODEC, new Buffer([0, 0, 0])), null, 'unknown format');
+    assert.end();
+});
+
+test('binary codec is only used when both sides support it', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        binaryCodec: true
+    });
+    var binaryPeer = { version: 1, minVersion: 1, capabilities: [codec.CAPABILITY] };
+
+    ringpop.recordPeerProtocol('127.0.0.1:3001', binaryPeer);
+    ringpop.recordPeerProtocol('127.0.0.1:3002', { version: 1, minVersion: 1, capabilities: [] });
+
+    assert.ok(ringpop.protocol.hasCapability(codec.CAPABILITY), 'capability advertised');
+    assert.equals(ringpop.getCodec('127.0.0.1:3001'), codec.BINARY_CODEC, 'binary peer');
+    assert.equals(ringpop.getCodec('127.0.0.1:3002'), codec.JSON_CODEC, 'json peer');
+    assert.equals(ringpop.getCodec('127.0.0.1:3003'), codec.JSON_CODEC, 'unknown peer');
+
+    var jsonRingpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3004' });
+    jsonRingpop.recordPeerProtocol('127.0.0.1:3001', binaryPeer);
+    assert.equals(jsonRingpop.getCodec('127.0.0.1:3001'), codec.JSON_CODEC, 'not enabled locally');
+
+    ringpop.destroy();
+    jsonRingpop.destroy();
+    assert.end();
+});
+
+test('binary bodies carry their members as a buffer', function t(assert) {
+    var body = { source: '127.0.0.1:3001', checksum: 1, changes: changes };
+    var message = codec.encodeBody(codec.BINARY_CODEC, body, 'changes');
+
+    assert.deepEquals(message.head, { codec: codec.BINARY_CODEC }, 'head names codec');
+    assert.ok(Buffer.isBuffer(message.body), 'body is a buffer');
+    assert.ok(message.body.length < JSON.stringify(body).length, 'smaller than json');
+    assert.deepEquals(codec.decodeBody(new Buffer(JSON.stringify(message.head)), message.body, 'changes'),
+        body, 'decoded body');
+    assert.equals(codec.decodeBody(JSON.stringify(message.head), message.body.slice(0, 20), 'changes'),
+        null, 'truncated');
+
+    var jsonMessage = codec.encodeBody(codec.JSON_CODEC, body, 'changes');
+    assert.equals(jsonMessage.head, null, 'no head for json');
+    assert.equals(jsonMessage.body, body, 'json body unchanged');
+    assert.deepEquals(codec.decodeBody(null, new Buffer(JSON.stringify(body)), 'changes'),
+        body, 'decoded json body');
+    assert.end();
+});
+
+function createBinaryRingPop(network) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        binaryCodec: true,
+        transport: network.createTransport('127.0.0.1:3000')
+    });
+    ringpop.setupChannel();
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.recordPeerProtocol('127.0.0.1:3001', {
+        version: 1,
+        minVersion: 1,
+        capabilities: [codec.CAPABILITY]
+    });
+    return ringpop;
+}
+
+test('ping changes are decoded and answered in the codec of the source', function t(assert) {
+    var network = new InProcessNetwork();
+    var ringpop = createBinaryRingPop(network);
+    var peer = network.createTransport('127.0.0.1:3001');
+    var options = { host: '127.0.0.1:3000', endpoint: '/protocol/ping', timeout: 100 };
+    var message = codec.encodeBody(codec.BINARY_CODEC, {
+        source: '127.0.0.1:3001',
+        checksum: 1,
+        changes: [{
+            address: '127.0.0.1:3001',
+            status: 'alive',
+            incarnationNumber: 1
+        }],
+        protocol: { version: 1, minVersion: 1, capabilities: [codec.CAPABILITY] }
+    }, 'changes');
+
+    peer.send(options, message.head, message.body, function onPing(err, res1, res2) {
+        assert.notok(err, 'no error');
+        assert.ok(ringpop.membership.findMemberByAddress('127.0.0.1:3001'), 'change applied');
+        assert.equals(JSON.parse(res1.toString()).codec, codec.BINARY_CODEC, 'responds in binary');
+        assert.ok(Array.isArray(codec.decodeBody(res1, res2, 'changes').changes), 'changes decode');
+
+        peer.send(options, message.head, message.body.slice(0, 10), function onBadPing(err) {
+            assert.ok(err, 'malformed changes are an error');
+            ringpop.destroy();
+            assert.end();
+        });
+    });
+});
+
+test('bucket sync is answered in the codec of the source', function t(assert) {
+    var network = new InProcessNetwork();
+    var ringpop = createBinaryRingPop(network);
+    var peer = network.createTransport('127.0.0.1:3001');
+    var options = { host: '127.0.0.1:3000', endpoint: '/protocol/sync', timeout: 100 };
+    var message = codec.encodeBody(codec.BINARY_CODEC, {
+        source: '127.0.0.1:3001',
+        buckets: [],
+        members: [{
+            address: '127.0.0.1:3001',
+            status: 'alive',
+            incarnationNumber: 1
+        }]
+    }, 'members');
+
+    peer.send(options, message.head, message.body, function onSync(err, res1, res2) {
+        assert.notok(err, 'no error');
+        assert.ok(ringpop.membership.findMemberByAddress('127.0.0.1:3001'), 'members applied');
+        assert.ok(Array.isArray(codec.decodeBody(res1, res2, 'members').members), 'members decode');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('binary ringpops join and ping each other', function t(assert) {
+    var network = new InProcessNetwork();
+    var hosts = ['127.0.0.1:3000', '127.0.0.1:3001'];
+    var ringpops = hosts.map(function createRingPop(hostPort, i) {
+        var ringpop = new RingPop({
+            app: 'ringpop',
+            hostPort: hostPort,
+            binaryCodec: true,
+            transport: network.createTransport(hostPort),
+            seed: i === 0
+        });
+        ringpop.setupChannel();
+        return ringpop;
+    });
+    ringpops[1].joinSize = 1;
+
+    ringpops[0].bootstrap([hosts[0]], function onSeed(err) {
+        assert.notok(err, 'seed bootstrapped');
+
+        ringpops[1].bootstrap(hosts, function onBootstrap(err) {
+            assert.notok(err, 'joined seed');
+            assert.equals(ringpops[1].membership.getMemberCount(), 2, 'membership decoded');
+            assert.equals(ringpops[1].getCodec(hosts[0]), codec.BINARY_CODEC, 'binary is spoken');
+
+            ringpops[1].sendPing(hosts[0], function onPing(isOk, body) {
+                assert.ok(isOk, 'ping is answered');
+                assert.ok(Array.isArray(body.changes), 'changes decoded');
+
+                ringpops.forEach(function destroy(ringpop) {
+                    ringpop.destroy();
+                });
+                assert.end();
+            });
+        });
+    });
+});
@@ -0,0 +1,171 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var test = require('tape');
+
+var InProcessNetwork = require('../lib/in-process-transport').InProcessNetwork;
+var RingPop = require('../index.js');
+
+function createRingPop(options) {
+    options = options || {};
+    options.app = 'ringpop';
+    options.hostPort = '127.0.0.1:3000';
+    return new RingPop(options);
+}
+
+test('configuration defaults', function t(assert) {
+    var ringpop = createRingPop();
+
+    assert.deepEquals(ringpop.getConfig(), {
+        joinSize: 3,
+        leaveSize: 3,
+        pingReqSize: 3,
+        pingTimeout: 1500,
+        minPingTimeout: 1500,
+        maxPingTimeout: 5000,
+        pingReqTimeout: 5000,
+        minProtocolPeriod: 200,
+        suspectPeriod: 5000,
+        maxSuspectPeriod: 5000,
+        suspectConfirmations: 3,
+        piggybackFactor: 15,
+        replicaPoints: 100,
+        joinTimeout: 1000,
+        minJoinBackoff: 100,
+        maxJoinBackoff: 5000,
+        maxJoinDuration: 300000,
+        tombstonePeriod: 300000,
+        proxyReqTimeout: 30000,
+        healInterval: 30000,
+        discoveryInterval: 30000,
+        snapshotInterval: 60000
+    }, 'defaults');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('configuration is accepted through the constructor', function t(assert) {
+    var ringpop = createRingPop({
+        joinSize: 5,
+        pingTimeout: 500,
+        piggybackFactor: 10,
+        replicaPoints: 50
+    });
+
+    assert.equals(ringpop.joinSize, 5, 'join size');
+    assert.equals(ringpop.pingTimeout, 500, 'ping timeout');
+    assert.equals(ringpop.dissemination.piggybackFactor, 10, 'piggyback factor');
+    assert.equals(ringpop.ring.replicaPoints, 50, 'replica points');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('invalid configuration throws', function t(assert) {
+    assert.throws(function() {
+        createRingPop({ joinSize: 0 });
+    }, /joinSize/, 'below minimum');
+    assert.throws(function() {
+        createRingPop({ pingTimeout: '1500' });
+    }, /must be an integer/, 'not a number');
+    assert.throws(function() {
+        createRingPop({ suspectPeriod: 40000, maxSuspectPeriod: 30000 });
+    }, /maxSuspectPeriod/, 'suspect period exceeds max');
+    assert.throws(function() {
+        createRingPop({ tombstonePeriod: -1 });
+    }, /tombstonePeriod/, 'negative period');
+    assert.throws(function() {
+        createRingPop({ healInterval: 0 });
+    }, /healInterval/, 'zero interval');
+    assert.throws(function() {
+        createRingPop({ minJoinBackoff: 1000, maxJoinBackoff: 500 });
+    }, /maxJoinBackoff/, 'join backoff exceeds max');
+    assert.end();
+});
+
+test('max suspect period defaults to suspect period', function t(assert) {
+    var ringpop = createRingPop({ suspectPeriod: 10000 });
+
+    assert.equals(ringpop.maxSuspectPeriod, 10000, 'max suspect period');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('tunable configuration is changed at runtime', function t(assert) {
+    var ringpop = createRingPop();
+    var emitted = null;
+    ringpop.on('configChanged', function onChanged(changes) {
+        emitted = changes;
+    });
+
+    ringpop.setConfig({ pingTimeout: 800, piggybackFactor: 5 }, function onSet(err, config) {
+        assert.notok(err, 'no error');
+        assert.equals(config.pingTimeout, 800, 'responds with config');
+        assert.equals(ringpop.pingTimeout, 800, 'ping timeout changed');
+        assert.equals(ringpop.dissemination.piggybackFactor, 5, 'piggyback factor changed');
+        assert.deepEquals(emitted, { pingTimeout: 800, piggybackFactor: 5 }, 'changes are emitted');
+
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('invalid runtime changes are not applied', function t(assert) {
+    var ringpop = createRingPop();
+
+    ringpop.setConfig({ pingTimeout: 800, joinSize: -1 }, function onInvalid(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-config', 'invalid value');
+        assert.equals(ringpop.pingTimeout, 1500, 'valid change is not applied');
+
+        ringpop.setConfig({ replicaPoints: 200 }, function onImmutable(err) {
+            assert.equals(err && err.type, 'ringpop.invalid-config.immutable', 'not tunable');
+
+            ringpop.setConfig({ pingPeriod: 10 }, function onUnknown(err) {
+                assert.equals(err && err.type, 'ringpop.invalid-config.unknown', 'unknown setting');
+
+                ringpop.destroy();
+                assert.end();
+            });
+        });
+    });
+});
+
+test('configuration is read and changed through /admin/config', function t(assert) {
+    var network = new InProcessNetwork();
+    var client = network.createTransport('127.0.0.1:3001');
+    var ringpop = createRingPop({ transport: network.createTransport('127.0.0.1:3000') });
+    ringpop.setupChannel();
+
+    var options = { host: '127.0.0.1:3000', timeout: 100, endpoint: '/admin/config' };
+    client.send(options, null, null, function onRead(err, res1, res2) {
+        assert.notok(err, 'no error');
+        assert.equals(JSON.parse(res2.toString()).joinSize, 3, 'reads config');
+
+        client.send(options, null, { joinSize: 4 }, function onChange(err, res1, res2) {
+            assert.notok(err, 'no error');
+            assert.equals(JSON.parse(res2.toString()).joinSize, 4, 'responds with changed config');
+            assert.equals(ringpop.joinSize, 4, 'config is changed');
+
+            ringpop.destroy();
+            assert.end();
+        });
+    });
+});
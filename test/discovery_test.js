@@ -0,0 +1,167 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('tape');
+
+var discovery = require('../lib/discovery');
+var RingPop = require('../index.js');
+
+var createDiscoveryProvider = discovery.createDiscoveryProvider;
+
+test('static provider discovers its hosts', function t(assert) {
+    var provider = createDiscoveryProvider(['127.0.0.1:3000', '127.0.0.1:3001']);
+
+    assert.ok(provider instanceof discovery.StaticDiscovery, 'is static provider');
+    provider.discover(function onDiscover(err, hosts) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(hosts, ['127.0.0.1:3000', '127.0.0.1:3001'], 'discovers hosts');
+        assert.end();
+    });
+});
+
+test('json file provider discovers hosts of file', function t(assert) {
+    var file = path.join(os.tmpdir(), 'ringpop-hosts-' + process.pid + '-' + Date.now() + '.json');
+    fs.writeFileSync(file, JSON.stringify(['127.0.0.1:3000']));
+
+    var provider = createDiscoveryProvider(file);
+
+    assert.ok(provider instanceof discovery.JsonFileDiscovery, 'is json file provider');
+    provider.discover(function onDiscover(err, hosts) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(hosts, ['127.0.0.1:3000'], 'discovers hosts');
+
+        fs.writeFileSync(file, '{"not": "hosts"}');
+        provider.discover(function onInvalid(err) {
+            assert.equals(err && err.type, 'ringpop.discovery.invalid-hosts', 'invalid hosts');
+
+            fs.unlinkSync(file);
+            assert.end();
+        });
+    });
+});
+
+test('function provider discovers hosts of function', function t(assert) {
+    var provider = createDiscoveryProvider(function discover(callback) {
+        callback(null, ['127.0.0.1:3000']);
+    });
+
+    assert.ok(provider instanceof discovery.FunctionDiscovery, 'is function provider');
+    provider.discover(function onDiscover(err, hosts) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(hosts, ['127.0.0.1:3000'], 'discovers hosts');
+        assert.end();
+    });
+});
+
+test('dns provider discovers hosts through resolver', function t(assert) {
+    var provider = createDiscoveryProvider({
+        hostname: 'ringpop.local',
+        port: 3000,
+        resolver: {
+            resolve4: function resolve4(hostname, callback) {
+                assert.equals(hostname, 'ringpop.local', 'resolves hostname');
+                callback(null, ['10.0.0.1', '10.0.0.2']);
+            }
+        }
+    });
+
+    assert.ok(provider instanceof discovery.DnsDiscovery, 'is dns provider');
+    provider.discover(function onDiscover(err, hosts) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(hosts, ['10.0.0.1:3000', '10.0.0.2:3000'], 'hosts use port');
+        assert.end();
+    });
+});
+
+test('invalid provider throws', function t(assert) {
+    assert.throws(function create() {
+        createDiscoveryProvider(42);
+    }, /discovery provider must be/, 'throws invalid provider error');
+    assert.end();
+});
+
+test('poll joins newly discovered hosts that are not members', function t(assert) {
+    var discovered = ['127.0.0.1:3000', '127.0.0.1:3001'];
+    var joined = [];
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        discovery: function discover(callback) {
+            callback(null, discovered);
+        },
+        transport: {
+            send: function send(options, head, body, callback) {
+                joined.push(options.host);
+                callback(null, null, new Buffer(JSON.stringify({
+                    app: 'ringpop',
+                    coordinator: options.host,
+                    membership: [{
+                        address: options.host,
+                        status: 'alive',
+                        incarnationNumber: 1
+                    }]
+                })));
+            },
+            quit: function quit() {}
+        }
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3001' });
+    ringpop.isReady = true;
+
+    discovered.push('127.0.0.1:3002');
+    ringpop.pollDiscovery(function onPoll(err, result) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(joined, ['127.0.0.1:3002'], 'only new host is joined');
+        assert.deepEquals(result, {
+            joined: ['127.0.0.1:3002'],
+            failed: []
+        }, 'reports joined hosts');
+        assert.deepEquals(ringpop.bootstrapHosts, discovered, 'bootstrap hosts are updated');
+        assert.ok(ringpop.membership.findMemberByAddress('127.0.0.1:3002'), 'new host is member');
+
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('polling stops when destroyed while a poll is in flight', function t(assert) {
+    var numPolls = 0;
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        discoveryInterval: 1,
+        discovery: function discover(callback) {
+            numPolls++;
+            ringpop.destroy();
+            callback(null, ['127.0.0.1:3000']);
+        }
+    });
+
+    ringpop.startDiscoveryPolling();
+
+    setTimeout(function onPolled() {
+        assert.equals(numPolls, 1, 'discovery is polled once');
+        assert.equals(ringpop.discoveryTimer, null, 'poll is not rescheduled');
+        assert.end();
+    }, 20);
+});
@@ -0,0 +1,80 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var Dissemination = require('../lib/members').Dissemination;
+var test = require('tape');
+
+function createRingPop() {
+    return {
+        on: function() {},
+        stat: function() {},
+        membership: {}
+    };
+}
+
+function createChange(address) {
+    return {
+        address: address,
+        status: 'alive',
+        incarnationNumber: 1,
+        piggybackCount: 0
+    };
+}
+
+test('changes are not counted until acknowledged', function t(assert) {
+    var dissemination = new Dissemination(createRingPop());
+    dissemination.maxPiggybackCount = 2;
+    dissemination.addChange(createChange('127.0.0.1:3001'));
+
+    dissemination.getChanges();
+    dissemination.getChanges();
+    dissemination.getChanges();
+
+    assert.equals(dissemination.changes['127.0.0.1:3001'].piggybackCount, 0, 'change is not counted');
+    assert.equals(dissemination.getChanges().length, 1, 'change is still issued');
+    assert.end();
+});
+
+test('changes are removed once acknowledged max piggyback count times', function t(assert) {
+    var dissemination = new Dissemination(createRingPop());
+    dissemination.maxPiggybackCount = 2;
+    dissemination.addChange(createChange('127.0.0.1:3001'));
+
+    dissemination.acknowledgeChanges(dissemination.getChanges());
+    assert.equals(dissemination.changes['127.0.0.1:3001'].piggybackCount, 1, 'change is counted');
+
+    dissemination.acknowledgeChanges(dissemination.getChanges());
+    assert.notok(dissemination.changes['127.0.0.1:3001'], 'change is removed');
+    assert.deepEquals(dissemination.getChanges(), [], 'no changes are issued');
+    assert.end();
+});
+
+test('superseded changes are not counted', function t(assert) {
+    var dissemination = new Dissemination(createRingPop());
+    dissemination.addChange(createChange('127.0.0.1:3001'));
+
+    var issued = dissemination.getChanges();
+    var newer = createChange('127.0.0.1:3001');
+    newer.status = 'suspect';
+    dissemination.addChange(newer);
+    dissemination.acknowledgeChanges(issued);
+
+    assert.equals(dissemination.changes['127.0.0.1:3001'].piggybackCount, 0, 'newer change is not counted');
+    assert.end();
+});
@@ -91,3 +91,23 @@ test('HashRing.removeServer', function t(assert) {
 
     assert.end();
 });
+
+test('HashRing.addServer and removeServer are idempotent', function t(assert) {
+    var ring = new HashRing();
+    var added = 0;
+    var removed = 0;
+    ring.on('added', function () { added++; });
+    ring.on('removed', function () { removed++; });
+
+    ring.addServer('test 1');
+    ring.addServer('test 1');
+    assert.strictEquals(added, 1, 'ring emits added once');
+    assert.strictEquals(ring.rbtree.size, ring.replicaPoints, 'rbtree has replicaPoints nodes');
+
+    ring.removeServer('test 1');
+    ring.removeServer('test 1');
+    assert.strictEquals(removed, 1, 'ring emits removed once');
+    assert.strictEquals(ring.rbtree.size, 0, 'rbtree is empty');
+
+    assert.end();
+});
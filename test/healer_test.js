@@ -0,0 +1,96 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var test = require('tape');
+
+var RingPop = require('../index.js');
+
+// Routes requests between ringpops in-process
+function createTransport(ringpops) {
+    return {
+        send: function(options, head, body, cb) {
+            var target = ringpops[options.host];
+            var handler = options.endpoint === '/protocol/join' ?
+                target.protocolJoin : target.protocolPing;
+
+            handler.call(target, body, function(err, res) {
+                cb(err, null, res && new Buffer(JSON.stringify(res)));
+            });
+        },
+        quit: function() {}
+    };
+}
+
+function createPartitionedRingPop(hostPort, otherHostPort, incarnationNumber, otherIncarnationNumber) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: hostPort });
+    ringpop.membership.addMember({
+        address: hostPort,
+        incarnationNumber: incarnationNumber
+    });
+    ringpop.membership.addMember({
+        address: otherHostPort,
+        incarnationNumber: otherIncarnationNumber - 1
+    });
+    ringpop.membership.update([{
+        address: otherHostPort,
+        status: 'faulty',
+        incarnationNumber: otherIncarnationNumber
+    }]);
+    ringpop.isReady = true;
+    return ringpop;
+}
+
+test('healer probes faulty members and bootstrap hosts that are not members', function t(assert) {
+    var ringpop = createPartitionedRingPop('127.0.0.1:3000', '127.0.0.1:3001', 10, 20);
+    ringpop.bootstrapHosts = ['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002'];
+
+    assert.deepEquals(ringpop.healer.selectTargets().sort(),
+        ['127.0.0.1:3001', '127.0.0.1:3002'], 'selects faulty member and unknown host');
+
+    ringpop.healer.healSize = 1;
+    assert.equals(ringpop.healer.selectTargets().length, 1, 'selects at most heal size targets');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('healer merges partitions that declared each other faulty', function t(assert) {
+    var ringpops = {};
+    var left = createPartitionedRingPop('127.0.0.1:3000', '127.0.0.1:3001', 20, 10);
+    var right = createPartitionedRingPop('127.0.0.1:3001', '127.0.0.1:3000', 10, 20);
+    ringpops[left.hostPort] = left;
+    ringpops[right.hostPort] = right;
+    left.transport = right.transport = createTransport(ringpops);
+
+    left.healer.heal(function onReincarnate() {
+        assert.ok(left.membership.localMember.incarnationNumber > 20, 'left is reincarnated');
+        assert.ok(right.membership.localMember.incarnationNumber > 10, 'right is reincarnated');
+
+        left.healer.heal(function onMerge() {
+            assert.equals(left.membership.findMemberByAddress(right.hostPort).status, 'alive',
+                'right is alive to left');
+            assert.equals(right.membership.findMemberByAddress(left.hostPort).status, 'alive',
+                'left is alive to right');
+
+            left.destroy();
+            right.destroy();
+            assert.end();
+        });
+    });
+});
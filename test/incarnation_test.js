@@ -0,0 +1,72 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('tape');
+
+var Incarnation = require('../lib/incarnation');
+var mock = require('./mock');
+
+function createStateFile(state) {
+    var file = path.join(os.tmpdir(), 'ringpop-incarnation-' + process.pid + '-' + Date.now() + '.json');
+
+    if (state) {
+        fs.writeFileSync(file, JSON.stringify(state));
+    }
+
+    return file;
+}
+
+test('incarnation numbers increase monotonically', function t(assert) {
+    var incarnation = new Incarnation({ logger: mock.logger });
+    var first = incarnation.next();
+    var second = incarnation.next();
+
+    assert.ok(first >= Date.now() - 1000, 'first is seeded from clock');
+    assert.ok(second > first, 'second is greater than first');
+    assert.equals(incarnation.next(second + 1000), second + 1001, 'exceeds minimum');
+    assert.end();
+});
+
+test('incarnation numbers resume from state file regardless of clock', function t(assert) {
+    var file = createStateFile({ incarnationNumber: 42 });
+    var incarnation = new Incarnation({ file: file, logger: mock.logger });
+
+    assert.equals(incarnation.next(), 43, 'resumes from persisted incarnation number');
+    assert.equals(incarnation.next(), 44, 'increments by one');
+
+    var restarted = new Incarnation({ file: file, logger: mock.logger });
+    assert.equals(restarted.next(), 45, 'persisted across restarts');
+
+    fs.unlinkSync(file);
+    assert.end();
+});
+
+test('missing state file is seeded from clock', function t(assert) {
+    var file = createStateFile();
+    var incarnation = new Incarnation({ file: file, logger: mock.logger });
+
+    assert.ok(incarnation.next() >= Date.now() - 1000, 'seeded from clock');
+    assert.ok(fs.existsSync(file), 'state file is written');
+
+    fs.unlinkSync(file);
+    assert.end();
+});
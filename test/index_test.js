@@ -17,6 +17,10 @@
 // LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
+var fs = require('fs');
+var InProcessNetwork = require('../lib/in-process-transport').InProcessNetwork;
+var os = require('os');
+var path = require('path');
 var RingPop = require('../index.js');
 var test = require('tape');
 
@@ -77,3 +81,606 @@ test('protocol join disallows joining different app clusters', function t(assert
         assert.end();
     });
 });
+
+test('admin leave is disallowed before bootstrap', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.adminLeave(function(err) {
+        assert.ok(err, 'an error occurred');
+        assert.equals(err.type, 'ringpop.invalid-leave.local-member', 'cannot leave before bootstrap');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('admin leave removes local member from ring and stops gossip', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.isRunning = true;
+
+    ringpop.adminLeave(function(err) {
+        assert.notok(err, 'no error occurred');
+        assert.equals(ringpop.membership.localMember.status, 'leave', 'local member has left');
+        assert.notok(ringpop.ring.servers['127.0.0.1:3000'], 'local member is not in ring');
+        assert.notok(ringpop.isRunning, 'gossip is stopped');
+
+        ringpop.adminLeave(function(err) {
+            assert.equals(err.type, 'ringpop.invalid-leave.redundant', 'cannot leave twice');
+            ringpop.destroy();
+            assert.end();
+        });
+    });
+});
+
+// Bootstraps ringpops one after another over an in-process network. Each
+// joins all those before it, so that all know each other.
+function bootstrapCluster(size, callback) {
+    var network = new InProcessNetwork();
+    var ringpops = [];
+    var hosts = [];
+
+    function bootstrapNext() {
+        if (ringpops.length === size) {
+            return callback(ringpops);
+        }
+
+        var hostPort = '127.0.0.1:' + (3000 + ringpops.length);
+        var ringpop = new RingPop({
+            app: 'ringpop',
+            hostPort: hostPort,
+            transport: network.createTransport(hostPort),
+            seed: ringpops.length === 0
+        });
+        ringpop.setupChannel();
+        ringpop.joinSize = Math.max(1, ringpops.length);
+        hosts.push(hostPort);
+        ringpops.push(ringpop);
+
+        ringpop.bootstrap(hosts.slice(), bootstrapNext);
+    }
+
+    bootstrapNext();
+}
+
+test('admin leave is pinged to members before calling back', function t(assert) {
+    bootstrapCluster(4, function onBootstrap(ringpops) {
+        var leaver = ringpops[0];
+
+        leaver.adminLeave(function onLeave(err) {
+            assert.notok(err, 'no error occurred');
+            leaver.destroy();
+
+            ringpops.slice(1).forEach(function assertLeft(ringpop) {
+                assert.equals(ringpop.membership.findMemberByAddress(leaver.hostPort).status,
+                    'leave', ringpop.hostPort + ' sees leave');
+                ringpop.destroy();
+            });
+            assert.end();
+        });
+    });
+});
+
+test('ping-req to a dead member leaves local health intact', function t(assert) {
+    bootstrapCluster(4, function onBootstrap(ringpops) {
+        var dead = ringpops[3];
+        var healthy = ringpops[0];
+        var deadMember = healthy.membership.findMemberByAddress(dead.hostPort);
+        dead.destroy();
+
+        healthy.sendPingReq(deadMember, function onPingReq() {
+            assert.equals(healthy.localHealth.score, 0, 'local health is not lowered');
+            assert.equals(healthy.membership.findMemberByAddress(dead.hostPort).status,
+                'suspect', 'dead member is suspect');
+
+            ringpops.slice(0, 3).forEach(function destroy(ringpop) {
+                ringpop.destroy();
+            });
+            assert.end();
+        });
+    });
+});
+
+test('protocol leave marks member as left', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3001' });
+
+    ringpop.protocolLeave({ node: '127.0.0.1:3001' }, function(err) {
+        assert.notok(err, 'no error occurred');
+        assert.equals(ringpop.membership.findMemberByAddress('127.0.0.1:3001').status, 'leave', 'member has left');
+        assert.notok(ringpop.ring.servers['127.0.0.1:3001'], 'member is not in ring');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('faulty member is evicted after tombstone period', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        tombstonePeriod: 1
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.membership.update([{ address: '127.0.0.1:3001', status: 'faulty', incarnationNumber: 1 }]);
+    assert.notok(ringpop.ring.servers['127.0.0.1:3001'], 'new faulty member is not in ring');
+
+    setTimeout(function onTombstone() {
+        assert.notok(ringpop.membership.findMemberByAddress('127.0.0.1:3001'), 'member is evicted');
+        assert.notok(ringpop.ring.servers['127.0.0.1:3001'], 'evicted member is not in ring');
+        assert.equals(ringpop.membership.getMemberCount(), 1, 'only local member remains');
+        ringpop.destroy();
+        assert.end();
+    }, 10);
+});
+
+test('suspect is declared faulty after suspect period by default', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3001', incarnationNumber: 1 });
+    ringpop.membership.update([{ address: '127.0.0.1:3001', status: 'suspect', incarnationNumber: 1 }]);
+
+    assert.equals(ringpop.suspicions['127.0.0.1:3001'].computeTimeout(), 5000, 'suspect period');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('expected suspect confirmations are capped by cluster size', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        maxSuspectPeriod: 30000
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3001', incarnationNumber: 1 });
+    ringpop.membership.addMember({ address: '127.0.0.1:3002', incarnationNumber: 1 });
+    ringpop.membership.update([{ address: '127.0.0.1:3002', status: 'suspect', incarnationNumber: 1 }]);
+
+    var suspicion = ringpop.suspicions['127.0.0.1:3002'];
+    assert.equals(suspicion.expectedConfirmations, 1, 'only one member can confirm');
+
+    suspicion.confirm('127.0.0.1:3001');
+    assert.equals(suspicion.computeTimeout(), 5000, 'one confirmation reaches suspect period');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('set labels bumps incarnation number of local member', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        labels: { zone: 'west' }
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000', incarnationNumber: 1, labels: ringpop.labels });
+
+    ringpop.setLabels({ zone: 'east' }, function(err) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(ringpop.membership.localMember.labels, { zone: 'east' }, 'labels are updated');
+        assert.ok(ringpop.membership.localMember.incarnationNumber > 1, 'incarnation number is bumped');
+        assert.deepEquals(ringpop.dissemination.changes['127.0.0.1:3000'].labels, { zone: 'east' },
+            'labels are disseminated');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('set labels rejects invalid labels', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+
+    ringpop.setLabels({ zone: 1 }, function(err) {
+        assert.ok(err, 'an error occurred');
+        assert.equals(err.type, 'ringpop.invalid-labels', 'labels are invalid');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('member events carry previous and new status', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    var added = null;
+    var faulty = null;
+    ringpop.on('memberAdded', function(event) { added = event; });
+    ringpop.on('memberFaulty', function(event) { faulty = event; });
+
+    ringpop.membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+    ringpop.membership.update([{ address: '127.0.0.1:3001', status: 'faulty', incarnationNumber: 2 }]);
+
+    assert.equals(added.address, '127.0.0.1:3001', 'added member address');
+    assert.equals(added.prevStatus, null, 'added member has no previous status');
+    assert.equals(added.status, 'alive', 'added member is alive');
+    assert.equals(faulty.prevStatus, 'alive', 'faulty member was alive');
+    assert.equals(faulty.prevIncarnationNumber, 1, 'previous incarnation number');
+    assert.equals(faulty.status, 'faulty', 'member is faulty');
+    assert.equals(faulty.incarnationNumber, 2, 'new incarnation number');
+    ringpop.destroy();
+    assert.end();
+});
+
+test('ring changed event carries servers added and removed', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+
+    var events = [];
+    ringpop.on('ringChanged', function(event) { events.push(event); });
+
+    ringpop.membership.update([
+        { address: '127.0.0.1:3001', status: 'faulty', incarnationNumber: 2 },
+        { address: '127.0.0.1:3002', status: 'alive', incarnationNumber: 1 }
+    ]);
+    ringpop.membership.update([{ address: '127.0.0.1:3002', status: 'suspect', incarnationNumber: 1 }]);
+
+    assert.equals(events.length, 1, 'suspect member does not change ring');
+    assert.deepEquals(events[0].added, ['127.0.0.1:3002'], 'server is added');
+    assert.deepEquals(events[0].removed, ['127.0.0.1:3001'], 'server is removed');
+    ringpop.destroy();
+    assert.end();
+});
+
+test('protocol ping responds with bucket checksums when memberships differ', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.dissemination.changes = {};
+
+    ringpop.protocolPing({
+        source: '127.0.0.1:3001',
+        changes: [],
+        checksum: 1,
+        checksumFormat: 'incremental',
+        bucketCount: ringpop.membership.bucketCount,
+        protocol: ringpop.protocol.describe()
+    }, function(err, res) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(res.changes, [], 'no full sync is sent');
+        assert.deepEquals(res.bucketChecksums, ringpop.membership.getBucketChecksums(), 'bucket checksums are sent');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('protocol ping from peer without bucket sync is answered with full sync', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.dissemination.changes = {};
+
+    ringpop.protocolPing({
+        source: '127.0.0.1:3001',
+        changes: [],
+        checksum: 1,
+        checksumFormat: 'incremental',
+        bucketCount: ringpop.membership.bucketCount,
+        protocol: { version: 1, minVersion: 1, capabilities: ['incremental-checksum'] }
+    }, function(err, res) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(res.changes, ringpop.membership.getState(), 'full sync is sent');
+        assert.notok(res.bucketChecksums, 'no bucket checksums are sent');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('protocol ping without checksum format is answered in legacy format', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.dissemination.changes = {};
+
+    ringpop.protocolPing({
+        source: '127.0.0.1:3001',
+        changes: [],
+        checksum: ringpop.membership.getChecksum('legacy'),
+        bucketCount: ringpop.membership.bucketCount
+    }, function(err, res) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(res.changes, [], 'legacy checksums agree');
+        assert.equals(res.checksum, ringpop.membership.getChecksum('legacy'), 'legacy checksum is sent');
+        assert.notok(res.bucketChecksums, 'no bucket checksums are sent');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('incremental checksum is only sent to peers that advertise it', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+
+    assert.equals(ringpop.getChecksumFormat('127.0.0.1:3001'), 'legacy', 'unknown peer');
+    ringpop.recordPeerProtocol('127.0.0.1:3001', { version: 1, minVersion: 1, capabilities: [] });
+    assert.equals(ringpop.getChecksumFormat('127.0.0.1:3001'), 'legacy', 'older peer');
+    ringpop.recordPeerProtocol('127.0.0.1:3001', ringpop.protocol.describe());
+    assert.equals(ringpop.getChecksumFormat('127.0.0.1:3001'), 'incremental', 'peer advertises it');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('protocol sync applies members and responds with members of buckets', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    var bucket = ringpop.membership.getBucket('127.0.0.1:3001');
+
+    ringpop.protocolSync({
+        source: '127.0.0.1:3001',
+        buckets: [bucket],
+        members: [{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]
+    }, function(err, res) {
+        assert.notok(err, 'no error occurred');
+        assert.ok(ringpop.membership.findMemberByAddress('127.0.0.1:3001'), 'member is applied');
+        assert.ok(res.members.every(function(member) {
+            return ringpop.membership.getBucket(member.address) === bucket;
+        }), 'only members of bucket are returned');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('local member refutes suspicion despite a clock behind its incarnation number', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    var future = Date.now() + 86400 * 1000;
+    ringpop.membership.addMember({ address: '127.0.0.1:3000', incarnationNumber: future });
+
+    ringpop.membership.update([{ address: '127.0.0.1:3000', status: 'suspect', incarnationNumber: future }]);
+
+    var localMember = ringpop.membership.localMember;
+    assert.equals(localMember.status, 'alive', 'local member is alive');
+    assert.ok(localMember.incarnationNumber > future, 'incarnation number exceeds suspicion');
+    ringpop.destroy();
+    assert.end();
+});
+
+test('reload joins hosts added to hosts file and reports removed hosts', function t(assert) {
+    var file = path.join(os.tmpdir(), 'ringpop-hosts-' + process.pid + '-' + Date.now() + '.json');
+    fs.writeFileSync(file, JSON.stringify(['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002']));
+
+    var joined = [];
+    var network = new InProcessNetwork();
+    ['127.0.0.1:3001', '127.0.0.1:3002', '127.0.0.1:3003'].forEach(function createPeer(host) {
+        network.createTransport(host).register('/protocol/join', function onJoin(head, body, hostInfo, callback) {
+            joined.push(host);
+            callback(null, null, {
+                app: 'ringpop',
+                coordinator: host,
+                membership: []
+            });
+        });
+    });
+
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        transport: network.createTransport('127.0.0.1:3000')
+    });
+    ringpop.seedBootstrapHosts(file);
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.isReady = true;
+
+    fs.writeFileSync(file, JSON.stringify(['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3003']));
+
+    var reloaded = null;
+    ringpop.on('hostsReloaded', function onReloaded(result) {
+        reloaded = result;
+    });
+
+    ringpop.reload(function onReload(err, result) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(result.added, ['127.0.0.1:3003'], 'added hosts');
+        assert.deepEquals(result.removed, ['127.0.0.1:3002'], 'removed hosts');
+        assert.deepEquals(result.joined, ['127.0.0.1:3003'], 'joined hosts');
+        assert.deepEquals(joined, ['127.0.0.1:3003'], 'only added host is joined');
+        assert.equals(reloaded, result, 'result is emitted');
+
+        fs.unlinkSync(file);
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('destroy stops watching the hosts file after reloading another', function t(assert) {
+    var prefix = path.join(os.tmpdir(), 'ringpop-hosts-' + process.pid + '-' + Date.now());
+    var watchedFile = prefix + '-a.json';
+    var otherFile = prefix + '-b.json';
+    fs.writeFileSync(watchedFile, JSON.stringify(['127.0.0.1:3000']));
+    fs.writeFileSync(otherFile, JSON.stringify(['127.0.0.1:3000']));
+
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        watchHostsFile: true
+    });
+    ringpop.seedBootstrapHosts(watchedFile);
+    ringpop.startWatchingHostsFile();
+
+    ringpop.reload(otherFile, function onReload(err) {
+        assert.notok(err, 'no error occurred');
+        assert.equals(ringpop.hostsFile, otherFile, 'other file is read');
+
+        var unwatchFile = fs.unwatchFile;
+        var unwatched = [];
+        fs.unwatchFile = function spy(file, listener) {
+            unwatched.push(file);
+            return unwatchFile.call(fs, file, listener);
+        };
+
+        ringpop.destroy();
+        fs.unwatchFile = unwatchFile;
+
+        assert.deepEquals(unwatched, [watchedFile], 'watched file is unwatched');
+        fs.unlinkSync(watchedFile);
+        fs.unlinkSync(otherFile);
+        assert.end();
+    });
+});
+
+test('reload calls back with error without a hosts file', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+
+    ringpop.reload(null, function onReload(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-hosts-file', 'invalid hosts file');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('seed is ready without other bootstrap hosts', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        seed: true
+    });
+
+    ringpop.bootstrap(['127.0.0.1:3000'], function onBootstrap(err) {
+        assert.notok(err, 'no error occurred');
+        assert.ok(ringpop.isReady, 'ringpop is ready');
+        assert.ok(ringpop.seedJoinTimer, 'join is retried in background');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('non-seed is not ready without other bootstrap hosts', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+
+    ringpop.bootstrap(['127.0.0.1:3000'], function onBootstrap(err) {
+        assert.equals(err && err.type, 'ringpop.swim.no-hosts', 'no hosts to join');
+        assert.notok(ringpop.isReady, 'ringpop is not ready');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('protocol join rejects joiner with invalid labels', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    ringpop.protocolJoin({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1,
+        labels: { zone: 1 }
+    }, function onJoin(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-labels', 'invalid labels');
+        assert.notok(ringpop.membership.findMemberByAddress('127.0.0.1:3001'), 'joiner is not added');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('protocol join rejects joiner that is not admitted', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        admitJoin: function admitJoin(joiner) {
+            return !joiner.labels || joiner.labels.env !== 'staging';
+        }
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    ringpop.protocolJoin({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1,
+        labels: { env: 'staging' }
+    }, function onJoin(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-join.rejected', 'join is rejected');
+        assert.notok(ringpop.membership.findMemberByAddress('127.0.0.1:3001'), 'joiner is not a member');
+
+        ringpop.protocolJoin({
+            app: 'ringpop',
+            source: '127.0.0.1:3002',
+            incarnationNumber: 1,
+            labels: { env: 'production' }
+        }, function onAdmitted(err, res) {
+            assert.notok(err, 'no error occurred');
+            assert.ok(ringpop.membership.findMemberByAddress('127.0.0.1:3002'), 'joiner is a member');
+            assert.equals(res.coordinator, '127.0.0.1:3000', 'responds with membership');
+            ringpop.destroy();
+            assert.end();
+        });
+    });
+});
+
+test('rejection expires after tombstone period', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        tombstonePeriod: 20,
+        admitJoinAsync: true,
+        admitJoin: function admitJoin(joiner, callback) {
+            callback(null, false);
+        }
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    ringpop.protocolJoin({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1
+    }, function onJoin(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-join.rejected', 'join is rejected');
+        assert.ok(ringpop.isRejected({ address: '127.0.0.1:3001' }), 'joiner is rejected');
+
+        setTimeout(function onExpired() {
+            assert.notok(ringpop.isRejected({ address: '127.0.0.1:3001' }), 'rejection has expired');
+            assert.deepEquals(ringpop.rejectedMembers, {}, 'rejection is dropped');
+            ringpop.destroy();
+            assert.end();
+        }, 40);
+    });
+});
+
+test('wrapped async admission hook is called back', function t(assert) {
+    function rejectJoin(joiner, callback) {
+        callback(new Error('not on allowlist'));
+    }
+
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        admitJoinAsync: true,
+        admitJoin: function wrapped() {
+            return rejectJoin.apply(null, arguments);
+        }
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    ringpop.protocolJoin({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1
+    }, function onJoin(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-join.rejected', 'join is rejected');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('rejected joiner is ignored when gossiped as new member', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        admitJoinAsync: true,
+        admitJoin: function admitJoin(joiner, callback) {
+            setImmediate(function onImmediate() {
+                callback(new Error('not on allowlist'));
+            });
+        }
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    ringpop.protocolJoin({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1
+    }, function onJoin(err) {
+        assert.ok(/not on allowlist/.test(err.message), 'error carries reason');
+
+        ringpop.membership.update([{
+            address: '127.0.0.1:3001',
+            status: 'alive',
+            incarnationNumber: 2
+        }]);
+        assert.notok(ringpop.membership.findMemberByAddress('127.0.0.1:3001'), 'gossiped member is ignored');
+        ringpop.destroy();
+        assert.end();
+    });
+});
@@ -0,0 +1,63 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var LocalHealth = require('../lib/local-health');
+var mock = require('./mock');
+var test = require('tape');
+
+function createRingPop() {
+    return {
+        logger: mock.logger,
+        stat: function() {}
+    };
+}
+
+test('multiplier starts at one', function t(assert) {
+    var localHealth = new LocalHealth(createRingPop());
+
+    assert.equals(localHealth.getMultiplier(), 1, 'multiplier is one');
+    assert.equals(localHealth.scale(1500), 1500, 'timeout is not scaled');
+    assert.end();
+});
+
+test('failures raise and successes lower the multiplier', function t(assert) {
+    var localHealth = new LocalHealth(createRingPop());
+
+    localHealth.onFailure('ping-timeout');
+    localHealth.onFailure('ping-req-timeout');
+    assert.equals(localHealth.getMultiplier(), 3, 'multiplier is raised');
+    assert.equals(localHealth.scale(1500), 4500, 'timeout is scaled');
+
+    localHealth.onSuccess();
+    assert.equals(localHealth.getMultiplier(), 2, 'multiplier is lowered');
+    assert.end();
+});
+
+test('multiplier is bounded', function t(assert) {
+    var localHealth = new LocalHealth(createRingPop());
+
+    localHealth.onSuccess();
+    assert.equals(localHealth.getMultiplier(), 1, 'multiplier does not drop below one');
+
+    for (var i = 0; i < localHealth.maxScore + 5; i++) {
+        localHealth.onFailure('protocol-period-overrun');
+    }
+    assert.equals(localHealth.getMultiplier(), localHealth.maxScore + 1, 'multiplier does not exceed max');
+    assert.end();
+});
@@ -0,0 +1,75 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var MemberStore = require('../lib/member-store');
+var Membership = require('../lib/members').Membership;
+var test = require('tape');
+
+function createStore(count) {
+    var store = new MemberStore(Membership.isPingable);
+
+    for (var i = 0; i < count; i++) {
+        store.add({ address: '127.0.0.1:' + (3000 + i), status: 'alive' });
+    }
+
+    return store;
+}
+
+test('members are found by address', function t(assert) {
+    var store = createStore(5);
+
+    assert.equals(store.find('127.0.0.1:3002').address, '127.0.0.1:3002', 'member is found');
+    assert.notok(store.find('127.0.0.1:4000'), 'unknown member is not found');
+    assert.equals(store.getCount(), 5, 'all members are stored');
+    assert.end();
+});
+
+test('removed members are not found nor iterated', function t(assert) {
+    var store = createStore(5);
+    store.remove('127.0.0.1:3002');
+
+    assert.notok(store.find('127.0.0.1:3002'), 'member is not found');
+    assert.equals(store.getCount(), 4, 'member count is decremented');
+
+    for (var i = 0; i < store.getCount(); i++) {
+        assert.notEqual(store.getPingOrderAt(i).address, '127.0.0.1:3002', 'member is not in ping order');
+        assert.equals(store.find(store.getPingOrderAt(i).address), store.getPingOrderAt(i),
+            'ping order is consistent with index');
+    }
+    assert.end();
+});
+
+test('only pingable members are sampled', function t(assert) {
+    var store = createStore(5);
+    var faulty = store.find('127.0.0.1:3001');
+    faulty.status = 'faulty';
+    store.refresh(faulty);
+
+    var sample = store.samplePingable(10, ['127.0.0.1:3000']);
+    var addresses = sample.map(function(member) { return member.address; }).sort();
+
+    assert.deepEquals(addresses, ['127.0.0.1:3002', '127.0.0.1:3003', '127.0.0.1:3004'],
+        'faulty and excluded members are not sampled');
+    assert.equals(store.samplePingable(2, []).length, 2, 'sample is bounded by n');
+
+    faulty.status = 'alive';
+    store.refresh(faulty);
+    assert.equals(store.samplePingable(10, []).length, 5, 'revived member is sampled');
+    assert.end();
+});
@@ -17,10 +17,14 @@
 // LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
+var farmhash = require('farmhash');
 var Membership = require('../lib/members').Membership;
 var test = require('tape');
 
 var ringpop = {
+    isRejected: function() {
+        return false;
+    },
     stat: function() {}
 };
 
@@ -33,3 +37,227 @@ test('checksum is changed when membership is updated', function t(assert) {
     assert.doesNotEqual(membership.checksum, prevChecksum, 'checksum is changed');
     assert.end();
 });
+
+test('leave overrides alive member with same incarnation number', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+    membership.update([{ address: '127.0.0.1:3001', status: 'leave', incarnationNumber: 1 }]);
+
+    assert.equals(membership.findMemberByAddress('127.0.0.1:3001').status, 'leave', 'member has left');
+    assert.end();
+});
+
+test('suspect does not override leave with same incarnation number', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'leave', incarnationNumber: 1 }]);
+    membership.update([{ address: '127.0.0.1:3001', status: 'suspect', incarnationNumber: 1 }]);
+
+    assert.equals(membership.findMemberByAddress('127.0.0.1:3001').status, 'leave', 'member is still left');
+    assert.end();
+});
+
+test('alive with higher incarnation number overrides leave', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'leave', incarnationNumber: 1 }]);
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 2 }]);
+
+    var member = membership.findMemberByAddress('127.0.0.1:3001');
+    assert.equals(member.status, 'alive', 'member has rejoined');
+    assert.equals(member.incarnationNumber, 2, 'incarnation number is bumped');
+    assert.end();
+});
+
+test('members that have left are not pingable', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([
+        { address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 },
+        { address: '127.0.0.1:3002', status: 'leave', incarnationNumber: 1 }
+    ]);
+
+    var pingable = membership.getRandomPingableMembers(2, []);
+    assert.equals(pingable.length, 1, 'only one member is pingable');
+    assert.equals(pingable[0].address, '127.0.0.1:3001', 'alive member is pingable');
+    assert.end();
+});
+
+test('faulty member is evicted and not resurrected by stale changes', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'faulty', incarnationNumber: 1 }]);
+    membership.evictMember('127.0.0.1:3001');
+
+    assert.notok(membership.findMemberByAddress('127.0.0.1:3001'), 'member is evicted');
+
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+    assert.notok(membership.findMemberByAddress('127.0.0.1:3001'), 'stale change is ignored');
+
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 2 }]);
+    assert.equals(membership.findMemberByAddress('127.0.0.1:3001').status, 'alive',
+        'change with higher incarnation number is applied');
+    assert.end();
+});
+
+test('tombstone expires after tombstone period', function t(assert) {
+    var membership = new Membership({
+        isRejected: ringpop.isRejected,
+        stat: ringpop.stat,
+        tombstonePeriod: 20
+    });
+    membership.update([{ address: '127.0.0.1:3001', status: 'faulty', incarnationNumber: 1 }]);
+    membership.evictMember('127.0.0.1:3001');
+    assert.equals(membership.getStats().tombstones, 1, 'member is tombstoned');
+
+    setTimeout(function onExpired() {
+        assert.equals(membership.getStats().tombstones, 0, 'tombstone is dropped');
+
+        membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+        assert.equals(membership.findMemberByAddress('127.0.0.1:3001').status, 'alive',
+            'member rejoins with same incarnation number');
+        assert.end();
+    }, 40);
+});
+
+test('alive member is not evicted', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+    membership.evictMember('127.0.0.1:3001');
+
+    assert.ok(membership.findMemberByAddress('127.0.0.1:3001'), 'member is not evicted');
+    assert.end();
+});
+
+test('suspect change from another source confirms suspicion', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'suspect', incarnationNumber: 1, source: '127.0.0.1:3002' }]);
+
+    membership.on('suspectConfirmed', function onConfirmed(member, source) {
+        assert.equals(member.address, '127.0.0.1:3001', 'suspect member is confirmed');
+        assert.equals(source, '127.0.0.1:3003', 'confirmation source is passed');
+        assert.end();
+    });
+    membership.update([{ address: '127.0.0.1:3001', status: 'suspect', incarnationNumber: 1, source: '127.0.0.1:3003' }]);
+});
+
+test('labels are part of checksum', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+    var prevChecksum = membership.checksum;
+
+    var labeled = new Membership(ringpop);
+    labeled.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1, labels: { zone: 'west' } }]);
+
+    assert.doesNotEqual(labeled.checksum, prevChecksum, 'checksum includes labels');
+    assert.deepEquals(labeled.getState()[0].labels, { zone: 'west' }, 'labels are part of state');
+    assert.end();
+});
+
+test('labels checksum string is independent of key order', function t(assert) {
+    assert.equals(Membership.generateLabelsString({ zone: 'west', role: 'api' }),
+        Membership.generateLabelsString({ role: 'api', zone: 'west' }), 'strings are equal');
+    assert.equals(Membership.generateLabelsString(undefined), '', 'no labels is empty string');
+    assert.end();
+});
+
+test('labels are updated along with incarnation number', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1, labels: { zone: 'west' } }]);
+    membership.update([{ address: '127.0.0.1:3001', status: 'suspect', incarnationNumber: 1 }]);
+
+    var member = membership.findMemberByAddress('127.0.0.1:3001');
+    assert.deepEquals(member.labels, { zone: 'west' }, 'labels are kept by changes without labels');
+
+    membership.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 2, labels: { zone: 'east' } }]);
+    assert.deepEquals(member.labels, { zone: 'east' }, 'labels are updated');
+    assert.end();
+});
+
+test('changes with invalid labels are dropped', function t(assert) {
+    var membership = new Membership(ringpop);
+    var labels = {};
+    for (var i = 0; i < 17; i++) {
+        labels['key' + i] = 'value';
+    }
+
+    membership.update([
+        { address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1, labels: labels },
+        { address: '127.0.0.1:3002', status: 'alive', incarnationNumber: 1, labels: { zone: new Array(130).join('x') } },
+        { address: '127.0.0.1:3003', status: 'alive', incarnationNumber: 1, labels: { zone: 'west' } }
+    ]);
+
+    assert.notok(membership.findMemberByAddress('127.0.0.1:3001'), 'too many labels');
+    assert.notok(membership.findMemberByAddress('127.0.0.1:3002'), 'label too long');
+    assert.ok(membership.findMemberByAddress('127.0.0.1:3003'), 'valid labels');
+    assert.end();
+});
+
+test('incremental checksum matches checksum computed from scratch', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([
+        { address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 },
+        { address: '127.0.0.1:3002', status: 'alive', incarnationNumber: 1, labels: { zone: 'west' } },
+        { address: '127.0.0.1:3003', status: 'alive', incarnationNumber: 1 }
+    ]);
+    membership.update([{ address: '127.0.0.1:3002', status: 'suspect', incarnationNumber: 1 }]);
+    membership.update([{ address: '127.0.0.1:3003', status: 'faulty', incarnationNumber: 2 }]);
+    membership.evictMember('127.0.0.1:3003');
+
+    var incremental = membership.checksum;
+    assert.equals(membership.computeChecksum(), incremental, 'checksums are equal');
+    assert.end();
+});
+
+test('legacy checksum is computed the way older nodes do', function t(assert) {
+    var membership = new Membership(ringpop);
+    membership.update([
+        { address: '127.0.0.1:3002', status: 'alive', incarnationNumber: 1, labels: { zone: 'west' } },
+        { address: '127.0.0.1:3001', status: 'suspect', incarnationNumber: 2 }
+    ]);
+
+    assert.equals(membership.getChecksum(Membership.LEGACY_CHECKSUM),
+        farmhash.hash32('127.0.0.1:3001suspect2;127.0.0.1:3002alive1'), 'labels are left out');
+    assert.equals(membership.getChecksum(Membership.INCREMENTAL_CHECKSUM),
+        membership.checksum, 'incremental checksum');
+    assert.end();
+});
+
+test('checksum does not depend on order of updates', function t(assert) {
+    var first = new Membership(ringpop);
+    first.update([{ address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }]);
+    first.update([{ address: '127.0.0.1:3002', status: 'suspect', incarnationNumber: 2 }]);
+
+    var second = new Membership(ringpop);
+    second.update([
+        { address: '127.0.0.1:3002', status: 'alive', incarnationNumber: 1 },
+        { address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 }
+    ]);
+    second.update([{ address: '127.0.0.1:3002', status: 'suspect', incarnationNumber: 2 }]);
+
+    assert.equals(first.checksum, second.checksum, 'checksums are equal');
+    assert.end();
+});
+
+test('only buckets with different members are found to differ', function t(assert) {
+    var local = new Membership(ringpop);
+    local.update([
+        { address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 },
+        { address: '127.0.0.1:3002', status: 'alive', incarnationNumber: 1 }
+    ]);
+
+    var remote = new Membership(ringpop);
+    remote.update([
+        { address: '127.0.0.1:3001', status: 'alive', incarnationNumber: 1 },
+        { address: '127.0.0.1:3002', status: 'suspect', incarnationNumber: 1 }
+    ]);
+
+    var buckets = local.findDifferentBuckets(remote.getBucketChecksums());
+    assert.deepEquals(buckets, [local.getBucket('127.0.0.1:3002')], 'bucket of changed member differs');
+
+    var members = remote.getStateOfBuckets(buckets);
+    assert.ok(members.some(function(member) {
+        return member.address === '127.0.0.1:3002';
+    }), 'changed member is part of bucket state');
+
+    local.update(members);
+    assert.equals(local.checksum, remote.checksum, 'memberships converge');
+    assert.deepEquals(local.findDifferentBuckets(remote.getBucketChecksums()), [], 'no buckets differ');
+    assert.end();
+});
@@ -0,0 +1,92 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var test = require('tape');
+
+var Protocol = require('../lib/protocol');
+var RingPop = require('../index.js');
+
+test('highest common version is negotiated', function t(assert) {
+    var protocol = new Protocol({ version: 3, minVersion: 1 });
+
+    assert.equals(protocol.negotiate({ version: 2, minVersion: 1 }), 2, 'older peer');
+    assert.equals(protocol.negotiate({ version: 5, minVersion: 2 }), 3, 'newer peer');
+    assert.equals(protocol.negotiate(undefined), 1, 'unversioned peer speaks version 1');
+    assert.equals(protocol.negotiate({ version: 6, minVersion: 4 }), null, 'incompatible peer');
+    assert.end();
+});
+
+test('protocol join rejects incompatible versions', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        protocolVersion: 3,
+        minProtocolVersion: 2
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    ringpop.protocolJoin({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1
+    }, function onJoin(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-join.protocol', 'unversioned joiner is rejected');
+
+        ringpop.protocolJoin({
+            app: 'ringpop',
+            source: '127.0.0.1:3002',
+            incarnationNumber: 1,
+            protocol: { version: 2, minVersion: 1, capabilities: ['labels'] }
+        }, function onCompatibleJoin(err, res) {
+            assert.notok(err, 'compatible joiner is admitted');
+            assert.equals(res.protocol.version, 3, 'responds with protocol');
+            assert.deepEquals(ringpop.getPeerProtocol('127.0.0.1:3002'), {
+                version: 2,
+                capabilities: ['labels']
+            }, 'negotiated version and capabilities are recorded');
+            ringpop.destroy();
+            assert.end();
+        });
+    });
+});
+
+test('protocol ping records capabilities of peer', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+
+    ringpop.protocolPing({
+        source: '127.0.0.1:3001',
+        changes: [],
+        checksum: ringpop.membership.checksum,
+        protocol: { version: 1, minVersion: 1, capabilities: ['bucket-sync'] }
+    }, function onPing(err, res) {
+        assert.notok(err, 'no error occurred');
+        assert.deepEquals(res.protocol, ringpop.protocol.describe(), 'responds with protocol');
+        assert.ok(ringpop.peerHasCapability('127.0.0.1:3001', 'bucket-sync'), 'peer has capability');
+        assert.notok(ringpop.peerHasCapability('127.0.0.1:3001', 'labels'), 'peer lacks capability');
+        assert.notok(ringpop.peerHasCapability('127.0.0.1:3002', 'labels'), 'unknown peer lacks capability');
+
+        ringpop.protocolCapabilities(function onCapabilities(err, res) {
+            assert.deepEquals(res.protocol.capabilities, ringpop.protocol.capabilities,
+                'capabilities can be queried');
+            ringpop.destroy();
+            assert.end();
+        });
+    });
+});
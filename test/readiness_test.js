@@ -0,0 +1,117 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var test = require('tape');
+
+var createReadinessPolicy = require('../lib/readiness').createReadinessPolicy;
+var Membership = require('../lib/members').Membership;
+var RingPop = require('../index.js');
+
+function createRingPop(readiness) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        readiness: readiness
+    });
+    ringpop.bootstrapHosts = ['127.0.0.1:3000', '127.0.0.1:3001',
+        '127.0.0.1:3002', '127.0.0.1:3003'];
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    return ringpop;
+}
+
+test('min members policy is met once ring holds enough members', function t(assert) {
+    var ringpop = createRingPop({ minMembers: 2 });
+
+    assert.notok(ringpop.readiness.isMet(ringpop), 'not met with local member alone');
+    ringpop.membership.addMember({ address: '127.0.0.1:3001' });
+    assert.ok(ringpop.readiness.isMet(ringpop), 'met with two members');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('bootstrap hosts alive policy is met once enough hosts are alive', function t(assert) {
+    var ringpop = createRingPop({ bootstrapHostsAlive: 75 });
+
+    ringpop.membership.addMember({ address: '127.0.0.1:3001' });
+    assert.notok(ringpop.readiness.isMet(ringpop), 'not met with half of hosts alive');
+    ringpop.membership.addMember({ address: '127.0.0.1:3002' });
+    assert.ok(ringpop.readiness.isMet(ringpop), 'met with three quarters of hosts alive');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('checksum agreement policy is met once enough peers agree', function t(assert) {
+    var ringpop = createRingPop({ checksumAgreement: 2 });
+    var checksum = ringpop.membership.checksum;
+    var format = Membership.INCREMENTAL_CHECKSUM;
+
+    ringpop.recordPeerChecksum('127.0.0.1:3001', checksum, format);
+    ringpop.recordPeerChecksum('127.0.0.1:3002', checksum + 1, format);
+    assert.notok(ringpop.readiness.isMet(ringpop), 'not met with one agreeing peer');
+    ringpop.recordPeerChecksum('127.0.0.1:3002', ringpop.membership.getChecksum());
+    assert.ok(ringpop.readiness.isMet(ringpop), 'met with two agreeing peers');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('all policies of a list must be met', function t(assert) {
+    var policy = createReadinessPolicy([
+        { minMembers: 1 },
+        function isMet() {
+            return false;
+        }
+    ]);
+    var ringpop = createRingPop(policy);
+
+    assert.equals(policy.name, 'min-members,function', 'named after its policies');
+    assert.notok(policy.isMet(ringpop), 'not met when any policy is not met');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('invalid readiness policy throws', function t(assert) {
+    assert.throws(function create() {
+        createReadinessPolicy({ minMemberz: 3 });
+    }, /readiness policy must be/, 'throws invalid policy error');
+    assert.end();
+});
+
+test('ringpop becomes ready once policy is met', function t(assert) {
+    var ringpop = createRingPop({ minMembers: 2 });
+    var isReady = false;
+
+    ringpop.waitForReadiness(function onReady() {
+        isReady = true;
+    });
+    assert.notok(isReady, 'not ready before policy is met');
+
+    ringpop.membership.update([{
+        address: '127.0.0.1:3001',
+        status: 'alive',
+        incarnationNumber: 1
+    }]);
+    assert.ok(isReady, 'ready once member is added');
+
+    ringpop.destroy();
+    assert.end();
+});
@@ -0,0 +1,133 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var InProcessNetwork = require('../lib/in-process-transport').InProcessNetwork;
+var RingPop = require('../index.js');
+var RoundTripTimes = require('../lib/round-trip-times');
+var test = require('tape');
+
+function createRingPop() {
+    return {
+        pingTimeout: 1500,
+        pingReqTimeout: 5000,
+        minPingTimeout: 100,
+        maxPingTimeout: 5000
+    };
+}
+
+test('peers without estimates get the ping timeout', function t(assert) {
+    var roundTripTimes = new RoundTripTimes(createRingPop());
+
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3001'), 1500, 'ping timeout');
+    assert.deepEquals(roundTripTimes.getStats(), {}, 'no stats');
+    assert.end();
+});
+
+test('first sample sets the smoothed round trip and its variance', function t(assert) {
+    var roundTripTimes = new RoundTripTimes(createRingPop());
+    roundTripTimes.record('127.0.0.1:3001', 100);
+
+    assert.deepEquals(roundTripTimes.getStats()['127.0.0.1:3001'], {
+        srtt: 100,
+        rttvar: 50,
+        samples: 1,
+        pingTimeout: 300
+    }, 'srtt + 4 * rttvar');
+    assert.end();
+});
+
+test('later samples are smoothed', function t(assert) {
+    var roundTripTimes = new RoundTripTimes(createRingPop());
+    roundTripTimes.record('127.0.0.1:3001', 100);
+    roundTripTimes.record('127.0.0.1:3001', 900);
+
+    var stats = roundTripTimes.getStats()['127.0.0.1:3001'];
+    assert.equals(stats.srtt, 200, 'srtt moves by an eighth');
+    assert.equals(stats.rttvar, 238, 'rttvar moves by a quarter');
+    assert.equals(stats.pingTimeout, 1150, 'timeout follows');
+    assert.end();
+});
+
+test('timeouts are bounded', function t(assert) {
+    var roundTripTimes = new RoundTripTimes(createRingPop());
+    roundTripTimes.record('127.0.0.1:3001', 1);
+    roundTripTimes.record('127.0.0.1:3002', 4000);
+
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3001'), 100, 'min ping timeout');
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3002'), 5000, 'max ping timeout');
+    assert.equals(roundTripTimes.getPingReqTimeout('127.0.0.1:3001', '127.0.0.1:3003'), 5000,
+        'ping-req timeout is at least pingReqTimeout');
+    assert.equals(roundTripTimes.getPingReqTimeout('127.0.0.1:3002', '127.0.0.1:3003'), 6500,
+        'ping-req timeout covers both pings');
+
+    roundTripTimes.remove('127.0.0.1:3002');
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3002'), 1500, 'removed estimate');
+    assert.end();
+});
+
+test('timeouts back off until a ping is answered', function t(assert) {
+    var roundTripTimes = new RoundTripTimes(createRingPop());
+    roundTripTimes.record('127.0.0.1:3001', 100);
+
+    roundTripTimes.recordTimeout('127.0.0.1:3001');
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3001'), 600, 'doubled');
+    roundTripTimes.recordTimeout('127.0.0.1:3001');
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3001'), 1200, 'doubled again');
+
+    for (var i = 0; i < 10; i++) {
+        roundTripTimes.recordTimeout('127.0.0.1:3001');
+    }
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3001'), 5000, 'max ping timeout');
+
+    roundTripTimes.record('127.0.0.1:3001', 100);
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3001'), 250, 'reset by answer');
+
+    roundTripTimes.recordTimeout('127.0.0.1:3002');
+    assert.equals(roundTripTimes.getPingTimeout('127.0.0.1:3002'), 3000, 'peer without estimate');
+    assert.end();
+});
+
+test('ping timeouts back off', function t(assert) {
+    var network = new InProcessNetwork();
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        pingTimeout: 10,
+        transport: network.createTransport('127.0.0.1:3000')
+    });
+    network.createTransport('127.0.0.1:3001').register('/protocol/ping', function hang() {});
+
+    ringpop.sendPing('127.0.0.1:3001', function onPing(isOk) {
+        assert.notok(isOk, 'ping timed out');
+        assert.equals(ringpop.roundTripTimes.getPingTimeout('127.0.0.1:3001'), 20, 'timeout doubled');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('round trip times are in stats', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.roundTripTimes.record('127.0.0.1:3001', 2000);
+
+    assert.equals(ringpop.getStats().roundTripTimes['127.0.0.1:3001'].pingTimeout, 5000,
+        'adaptive ping timeout');
+
+    ringpop.destroy();
+    assert.end();
+});
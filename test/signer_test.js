@@ -0,0 +1,158 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var test = require('tape');
+
+var createRingPopTChannel = require('../lib/tchannel').createRingPopTChannel;
+var RingPop = require('../index.js');
+var Signer = require('../lib/signer');
+
+function verify(signer, endpoint, signed) {
+    var result = null;
+    signer.verify(endpoint, signed.head, signed.body, function(err, head) {
+        result = { err: err, head: head };
+    });
+    return result;
+}
+
+test('signed request is verified and its head unwrapped', function t(assert) {
+    var signer = new Signer('secret');
+    var signed = signer.sign('/proxy/req', '{"url":"/"}', new Buffer('body'));
+    var result = verify(signer, '/proxy/req', signed);
+
+    assert.notok(result.err, 'no error occurred');
+    assert.equals(result.head, '{"url":"/"}', 'original head is unwrapped');
+    assert.end();
+});
+
+test('tampered or unsigned request is rejected', function t(assert) {
+    var signer = new Signer('secret');
+    var signed = signer.sign('/protocol/ping', null, { changes: [] });
+
+    var tampered = verify(signer, '/protocol/ping', {
+        head: signed.head,
+        body: JSON.stringify({ changes: [{ address: '127.0.0.1:3001', status: 'faulty' }] })
+    });
+    assert.equals(tampered.err && tampered.err.type, 'ringpop.invalid-signature', 'tampered body is rejected');
+
+    var otherEndpoint = verify(signer, '/protocol/join', signed);
+    assert.equals(otherEndpoint.err && otherEndpoint.err.type, 'ringpop.invalid-signature', 'signature is bound to endpoint');
+
+    var unsigned = verify(signer, '/protocol/ping', { head: null, body: signed.body });
+    assert.equals(unsigned.err && unsigned.err.type, 'ringpop.invalid-signature', 'unsigned request is rejected');
+    assert.end();
+});
+
+test('request signed too long ago is rejected', function t(assert) {
+    var signer = new Signer('secret', { maxSkew: 1000 });
+    var signed = signer.sign('/protocol/ping', null, '{}');
+    var envelope = JSON.parse(signed.head);
+
+    envelope.timestamp -= 2000;
+    var tampered = verify(signer, '/protocol/ping', {
+        head: JSON.stringify(envelope),
+        body: signed.body
+    });
+    assert.equals(tampered.err && tampered.err.type, 'ringpop.invalid-signature', 'timestamp is signed');
+
+    var realNow = Date.now;
+    Date.now = function now() {
+        return realNow() + 2000;
+    };
+    var stale = verify(signer, '/protocol/ping', signed);
+    Date.now = realNow;
+    assert.equals(stale.err && stale.err.type, 'ringpop.invalid-signature.stale', 'replayed request is rejected');
+
+    assert.notok(verify(signer, '/protocol/ping', signed).err, 'fresh request is accepted');
+    assert.end();
+});
+
+test('permissive mode accepts unsigned but not invalid requests', function t(assert) {
+    var signer = new Signer('secret', { mode: 'permissive' });
+    var signed = signer.sign('/proxy/req', '{"url":"/"}', '{}');
+    assert.ok(JSON.parse(signed.head).signature, 'requests are signed');
+
+    var unsigned = verify(signer, '/proxy/req', { head: '{"url":"/"}', body: '{}' });
+    assert.notok(unsigned.err, 'unsigned request is accepted');
+    assert.equals(unsigned.head, '{"url":"/"}', 'head is passed as it is');
+
+    var tampered = verify(signer, '/proxy/req', { head: signed.head, body: '{"changed":true}' });
+    assert.equals(tampered.err && tampered.err.type, 'ringpop.invalid-signature', 'invalid signature is rejected');
+    assert.end();
+});
+
+test('all keys verify while first key signs', function t(assert) {
+    var oldSigner = new Signer(['old']);
+    var rotatingSigner = new Signer(['new', 'old']);
+    var newSigner = new Signer(['new']);
+
+    var signedByOld = oldSigner.sign('/protocol/ping', null, '{}');
+    var signedByRotating = rotatingSigner.sign('/protocol/ping', null, '{}');
+
+    assert.notok(verify(rotatingSigner, '/protocol/ping', signedByOld).err, 'old key is accepted during rotation');
+    assert.notok(verify(newSigner, '/protocol/ping', signedByRotating).err, 'new key signs during rotation');
+    assert.ok(verify(newSigner, '/protocol/ping', signedByOld).err, 'old key is rejected after rotation');
+    assert.end();
+});
+
+test('only protocol and proxy endpoints are signed', function t(assert) {
+    assert.ok(new Signer('secret').isSigned('/protocol/ping'), 'ping is signed');
+    assert.notok(new Signer('secret').isSigned('/admin/stats'), 'admin is not signed');
+    assert.notok(new Signer().isSigned('/protocol/ping'), 'nothing is signed without keys');
+    assert.end();
+});
+
+test('tchannel handlers reject requests with invalid signatures', function t(assert) {
+    var handlers = {};
+    var stats = [];
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        signingKeys: ['secret']
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.stat = function(type, key) {
+        stats.push(key);
+    };
+    createRingPopTChannel(ringpop, {
+        register: function(url, handler) {
+            handlers[url] = handler;
+        }
+    });
+
+    var body = JSON.stringify({
+        source: '127.0.0.1:3001',
+        changes: [{ address: '127.0.0.1:3002', status: 'alive', incarnationNumber: 1 }],
+        checksum: 1
+    });
+
+    handlers['/protocol/ping'](null, body, null, function onUnsigned(err) {
+        assert.equals(err && err.type, 'ringpop.invalid-signature', 'unsigned ping is rejected');
+        assert.ok(stats.indexOf('signature.rejected') > -1, 'rejection is counted');
+        assert.notok(ringpop.membership.findMemberByAddress('127.0.0.1:3002'), 'changes are not applied');
+
+        var signed = ringpop.signer.sign('/protocol/ping', null, body);
+        handlers['/protocol/ping'](signed.head, signed.body, null, function onSigned(err) {
+            assert.notok(err, 'signed ping is handled');
+            assert.ok(ringpop.membership.findMemberByAddress('127.0.0.1:3002'), 'changes are applied');
+            ringpop.destroy();
+            assert.end();
+        });
+    });
+});
@@ -0,0 +1,160 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('tape');
+
+var AdminJoiner = require('../lib/swim.js').AdminJoiner;
+var InProcessNetwork = require('../lib/in-process-transport').InProcessNetwork;
+var RingPop = require('../index.js');
+
+function createSnapshotFile() {
+    return path.join(os.tmpdir(), 'ringpop-snapshot-' + process.pid + '-' + Date.now() + '.json');
+}
+
+function createRingPop(snapshotFile) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        snapshotFile: snapshotFile
+    });
+    ringpop.membership.addMember({ address: '127.0.0.1:3000' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3001' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3002' });
+    ringpop.membership.addMember({ address: '127.0.0.1:3003', incarnationNumber: 1 });
+    ringpop.membership.update([{
+        address: '127.0.0.1:3003',
+        status: 'faulty',
+        incarnationNumber: 2
+    }]);
+    return ringpop;
+}
+
+test('snapshot restores alive members other than local member', function t(assert) {
+    var file = createSnapshotFile();
+    var ringpop = createRingPop(file);
+
+    ringpop.snapshot.write(function onWrite(err) {
+        assert.notok(err, 'no error occurred');
+        assert.notok(fs.existsSync(file + '.tmp'), 'temporary file is renamed');
+
+        var restarted = new RingPop({
+            app: 'ringpop',
+            hostPort: '127.0.0.1:3000',
+            snapshotFile: file
+        });
+        var members = restarted.snapshot.read();
+
+        assert.deepEquals(members.map(function(member) {
+            return member.address;
+        }).sort(), ['127.0.0.1:3001', '127.0.0.1:3002'], 'faulty and local members are left out');
+
+        fs.unlinkSync(file);
+        ringpop.destroy();
+        restarted.destroy();
+        assert.end();
+    });
+});
+
+test('snapshot of a different app is ignored', function t(assert) {
+    var file = createSnapshotFile();
+    var ringpop = createRingPop(file);
+
+    ringpop.snapshot.write(function onWrite() {
+        var other = new RingPop({
+            app: 'other',
+            hostPort: '127.0.0.1:3000',
+            snapshotFile: file
+        });
+
+        assert.equals(other.snapshot.read(), null, 'no members are read');
+
+        fs.unlinkSync(file);
+        ringpop.destroy();
+        other.destroy();
+        assert.end();
+    });
+});
+
+test('missing snapshot is ignored', function t(assert) {
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        snapshotFile: createSnapshotFile()
+    });
+
+    assert.equals(ringpop.snapshot.read(), null, 'no members are read');
+    ringpop.destroy();
+    assert.end();
+});
+
+test('snapshot members are added to join candidates only', function t(assert) {
+    var ringpop = new RingPop({ app: 'ringpop', hostPort: '127.0.0.1:3000' });
+    ringpop.seedBootstrapHosts(['127.0.0.1:3000', '127.0.0.1:3001']);
+    ringpop.addSnapshotHosts([
+        { address: '127.0.0.1:3001' },
+        { address: '127.0.0.1:3002' }
+    ]);
+
+    assert.deepEquals(ringpop.bootstrapHosts,
+        ['127.0.0.1:3000', '127.0.0.1:3001'], 'bootstrap hosts are unchanged');
+    assert.deepEquals(ringpop.snapshotHosts, ['127.0.0.1:3002'], 'hosts are deduped');
+    assert.deepEquals(new AdminJoiner({ ringpop: ringpop }).candidateHosts,
+        ['127.0.0.1:3001', '127.0.0.1:3002'], 'snapshot hosts are joined');
+    ringpop.destroy();
+    assert.end();
+});
+
+test('stale snapshot does not make a node ready', function t(assert) {
+    var file = createSnapshotFile();
+    var staleHosts = ['127.0.0.1:3001', '127.0.0.1:3002', '127.0.0.1:3003', '127.0.0.1:3004'];
+    fs.writeFileSync(file, JSON.stringify({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        members: staleHosts.map(function toMember(host) {
+            return { address: host, status: 'alive', incarnationNumber: 1 };
+        })
+    }));
+
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        readiness: { minMembers: 5 },
+        seed: true,
+        snapshotFile: file,
+        transport: new InProcessNetwork().createTransport('127.0.0.1:3000')
+    });
+
+    ringpop.bootstrap(['127.0.0.1:3000'], function onBootstrap() {
+        assert.fail('ringpop is not ready');
+    });
+
+    setTimeout(function onBootstrapped() {
+        assert.notok(ringpop.isReady, 'ringpop is not ready');
+        assert.equals(ringpop.membership.getMemberCount(), 1, 'snapshot members are not members');
+        assert.equals(ringpop.ring.getServerCount(), 1, 'snapshot members are not in ring');
+        assert.deepEquals(ringpop.snapshotHosts, staleHosts, 'snapshot members are join candidates');
+
+        ringpop.destroy();
+        fs.unlinkSync(file);
+        assert.end();
+    }, 50);
+});
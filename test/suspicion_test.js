@@ -0,0 +1,71 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var Suspicion = require('../lib/suspicion');
+var test = require('tape');
+
+function createSuspicion(onTimeout) {
+    return new Suspicion({
+        address: '127.0.0.1:3001',
+        incarnationNumber: 1,
+        source: '127.0.0.1:3000',
+        minTimeout: 1000,
+        maxTimeout: 6000,
+        expectedConfirmations: 3,
+        onTimeout: onTimeout || function() {}
+    });
+}
+
+test('suspicion starts with max timeout', function t(assert) {
+    var suspicion = createSuspicion();
+
+    assert.equals(suspicion.computeTimeout(), 6000, 'timeout is max');
+    suspicion.cancel();
+    assert.end();
+});
+
+test('confirmations from new sources shrink timeout to min', function t(assert) {
+    var suspicion = createSuspicion();
+
+    assert.notok(suspicion.confirm('127.0.0.1:3000'), 'original source does not confirm');
+    assert.ok(suspicion.confirm('127.0.0.1:3002'), 'new source confirms');
+    assert.notok(suspicion.confirm('127.0.0.1:3002'), 'same source does not confirm twice');
+
+    var timeout = suspicion.computeTimeout();
+    assert.ok(timeout < 6000 && timeout > 1000, 'timeout has shrunk');
+
+    suspicion.confirm('127.0.0.1:3003');
+    suspicion.confirm('127.0.0.1:3004');
+    assert.equals(suspicion.computeTimeout(), 1000, 'timeout is min');
+    assert.notok(suspicion.confirm('127.0.0.1:3005'), 'extra confirmation is ignored');
+
+    suspicion.cancel();
+    assert.end();
+});
+
+test('suspicion times out immediately once elapsed time exceeds timeout', function t(assert) {
+    var suspicion = createSuspicion(function onTimeout() {
+        assert.pass('suspicion timed out');
+        assert.end();
+    });
+
+    suspicion.start = Date.now() - 5000;
+    suspicion.confirm('127.0.0.1:3002');
+    suspicion.confirm('127.0.0.1:3003');
+});
@@ -20,6 +20,7 @@
 
 var AdminJoiner = require('../lib/swim.js').AdminJoiner;
 var mock = require('./mock');
+var Protocol = require('../lib/protocol');
 var test = require('tape');
 
 test('join is aborted when max join duration is exceeded', function t(assert) {
@@ -28,9 +29,13 @@ test('join is aborted when max join duration is exceeded', function t(assert) {
     var joiner = new AdminJoiner({
         ringpop: {
             bootstrapHosts: ['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002'],
-            channel: mock.channel,
+            joinSize: 3,
             logger: mock.logger,
-            membership: mock.membership
+            membership: mock.membership,
+            protocol: new Protocol(),
+            send: function(options, head, body, cb) {
+                mock.channel.send(options, options.endpoint, head, body, cb);
+            }
         },
         callback: function(err) {
             assert.ok(err, 'an error occurred');
@@ -43,3 +48,164 @@ test('join is aborted when max join duration is exceeded', function t(assert) {
 
     assert.end();
 });
+
+// The joiner sends through send(options, head, body, callback), where
+// options carry the host and endpoint of the request.
+function createJoinRingpop(send) {
+    return {
+        bootstrapHosts: ['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002',
+            '127.0.0.1:3003', '127.0.0.1:3004'],
+        hostPort: '127.0.0.1:3000',
+        joinSize: 3,
+        logger: mock.logger,
+        membership: mock.membership,
+        protocol: new Protocol(),
+        recordPeerProtocol: function() {},
+        send: send
+    };
+}
+
+function joinResponse(host) {
+    return new Buffer(JSON.stringify({
+        app: 'ringpop',
+        coordinator: host,
+        membership: []
+    }));
+}
+
+test('joins are sent to join size peers in parallel', function t(assert) {
+    var pending = [];
+    var joiner = new AdminJoiner({
+        ringpop: createJoinRingpop(function send(options, head, body, cb) {
+            pending.push({ host: options.host, cb: cb });
+        }),
+        callback: function(err, result) {
+            assert.notok(err, 'no error occurred');
+            assert.deepEquals(result.joined.sort(), pending.map(function(join) {
+                return join.host;
+            }).sort(), 'reports joined peers');
+            assert.deepEquals(result.failed, {}, 'no peers failed');
+            assert.end();
+        },
+        joinTimeout: 100,
+        maxJoinDuration: 1000
+    });
+    joiner.sendJoin();
+
+    assert.equals(pending.length, 3, 'joins are sent before any response');
+    assert.ok(pending.every(function(join) {
+        return join.host !== '127.0.0.1:3000';
+    }), 'local member is not joined');
+
+    pending.forEach(function(join) {
+        join.cb(null, null, joinResponse(join.host));
+    });
+});
+
+test('pending joins are ignored once joiner is destroyed', function t(assert) {
+    var pending = [];
+    var joiner = new AdminJoiner({
+        ringpop: createJoinRingpop(function send(options, head, body, cb) {
+            pending.push({ host: options.host, cb: cb });
+        }),
+        callback: function() {
+            assert.fail('callback is not called');
+        },
+        joinTimeout: 100,
+        maxJoinDuration: 1000
+    });
+    joiner.sendJoin();
+    joiner.destroy();
+
+    pending.forEach(function(join) {
+        join.cb(null, null, joinResponse(join.host));
+    });
+
+    assert.deepEquals(joiner.getResult().joined, [], 'no peers joined');
+    assert.end();
+});
+
+test('failed joins are retried until join is aborted', function t(assert) {
+    var numAttempts = 0;
+    var joiner = new AdminJoiner({
+        ringpop: createJoinRingpop(function send(options, head, body, cb) {
+            numAttempts++;
+            cb(new Error('timed out'));
+        }),
+        target: '127.0.0.1:3001',
+        callback: function(err, result) {
+            assert.equals(err.type, 'ringpop.join-duration-exceeded', 'join duration exceeded');
+            assert.ok(numAttempts > 1, 'join is retried');
+            assert.deepEquals(result.joined, [], 'no peers joined');
+            assert.deepEquals(result.failed, { '127.0.0.1:3001': 'timed out' }, 'reports why peer failed');
+            assert.end();
+        },
+        maxJoinDuration: 50,
+        minJoinBackoff: 5,
+        maxJoinBackoff: 10
+    });
+    joiner.sendJoin();
+});
+
+test('join backoff grows exponentially up to max', function t(assert) {
+    var joiner = new AdminJoiner({
+        ringpop: createJoinRingpop(function send(options, head, body, cb) {
+            cb();
+        }),
+        minJoinBackoff: 100,
+        maxJoinBackoff: 400
+    });
+
+    [100, 200, 400, 400].forEach(function(backoff, i) {
+        joiner.round = i + 1;
+        var jittered = joiner.getBackoff();
+        assert.ok(jittered >= backoff / 2 && jittered <= backoff, 'backoff of round ' + joiner.round + ' is jittered');
+    });
+    assert.end();
+});
+
+test('join is aborted when protocol versions are incompatible', function t(assert) {
+    var numAttempts = 0;
+    var joiner = new AdminJoiner({
+        ringpop: createJoinRingpop(function send(options, head, body, cb) {
+            numAttempts++;
+            var err = new Error('incompatible');
+            err.type = 'ringpop.invalid-join.protocol';
+            cb(err);
+        }),
+        callback: function(err, result) {
+            assert.equals(err.type, 'ringpop.invalid-join.protocol', 'join is incompatible');
+            assert.equals(Object.keys(result.failed).length, 1, 'reports incompatible peer');
+
+            setTimeout(function() {
+                assert.equals(numAttempts, 3, 'join is not retried');
+                assert.end();
+            }, 50);
+        },
+        maxJoinDuration: 1000
+    });
+    joiner.sendJoin();
+});
+
+test('join is aborted when joiner is rejected', function t(assert) {
+    var numAttempts = 0;
+    var joiner = new AdminJoiner({
+        ringpop: createJoinRingpop(function send(options, head, body, cb) {
+            numAttempts++;
+            var err = new Error('rejected');
+            err.type = 'ringpop.invalid-join.rejected';
+            cb(err);
+        }),
+        callback: function(err, result) {
+            assert.equals(err.type, 'ringpop.invalid-join.rejected', 'join is rejected');
+            assert.equals(Object.keys(result.failed).length, 1, 'reports rejecting peer');
+
+            setTimeout(function() {
+                assert.equals(numAttempts, 3, 'join is not retried');
+                assert.end();
+            }, 50);
+        },
+        maxJoinDuration: 1000
+    });
+    joiner.sendJoin();
+});
@@ -0,0 +1,314 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+var _ = require('underscore');
+var http = require('http');
+var test = require('tape');
+
+var HttpTransport = require('../lib/http-transport');
+var InProcessNetwork = require('../lib/in-process-transport').InProcessNetwork;
+var RingPop = require('../index.js');
+var transport = require('../lib/transport');
+var TChannelTransport = transport.TChannelTransport;
+
+function echo(head, body, hostInfo, cb) {
+    cb(null, head, JSON.parse(body.toString()));
+}
+
+test('in-process transport delivers requests and responses', function t(assert) {
+    var network = new InProcessNetwork();
+    var client = network.createTransport('127.0.0.1:3000');
+    var server = network.createTransport('127.0.0.1:3001');
+    server.register('/echo', function(head, body, hostInfo, cb) {
+        assert.equals(hostInfo, '127.0.0.1:3000', 'sender is known');
+        echo(head, body, hostInfo, cb);
+    });
+
+    client.send({ host: '127.0.0.1:3001', timeout: 100, endpoint: '/echo' }, 'head', { a: 1 }, function onSend(err, res1, res2) {
+        assert.notok(err, 'no error');
+        assert.equals(res1.toString(), 'head', 'head is echoed');
+        assert.deepEquals(JSON.parse(res2.toString()), { a: 1 }, 'body is echoed as JSON');
+        assert.end();
+    });
+});
+
+test('in-process transport sends handler errors as their message', function t(assert) {
+    var network = new InProcessNetwork();
+    var client = network.createTransport('127.0.0.1:3000');
+    var server = network.createTransport('127.0.0.1:3001');
+    server.register('/fail', function(head, body, hostInfo, cb) {
+        var err = new Error('failed');
+        err.type = 'ringpop.failed';
+        cb(err);
+    });
+
+    client.send({ host: '127.0.0.1:3001', timeout: 100, endpoint: '/fail' }, null, null, function onFail(err) {
+        assert.equals(err && err.message, 'failed', 'message is sent');
+        assert.equals(err && err.type, undefined, 'type is not sent');
+        assert.end();
+    });
+});
+
+test('in-process transport fails unreachable hosts, unknown endpoints and timeouts', function t(assert) {
+    var network = new InProcessNetwork();
+    var client = network.createTransport('127.0.0.1:3000');
+    var server = network.createTransport('127.0.0.1:3001');
+    server.register('/hang', function() {});
+
+    client.send({ host: '127.0.0.1:3002', endpoint: '/echo' }, null, null, function onUnreachable(err) {
+        assert.equals(err && err.type, 'ringpop.transport.unreachable', 'unreachable host');
+
+        client.send({ host: '127.0.0.1:3001', endpoint: '/echo' }, null, null, function onUnknown(err) {
+            assert.equals(err && err.type, 'ringpop.transport.unknown-endpoint', 'unknown endpoint');
+
+            client.send({ host: '127.0.0.1:3001', timeout: 10, endpoint: '/hang' }, null, null, function onTimeout(err) {
+                assert.equals(err && err.type, 'ringpop.transport.timeout', 'timed out');
+
+                server.quit();
+                client.send({ host: '127.0.0.1:3001', endpoint: '/hang' }, null, null, function onQuit(err) {
+                    assert.equals(err && err.type, 'ringpop.transport.unreachable', 'quit host is unreachable');
+                    assert.end();
+                });
+            });
+        });
+    });
+});
+
+test('ringpops join each other over the in-process transport', function t(assert) {
+    var network = new InProcessNetwork();
+    var hosts = ['127.0.0.1:3000', '127.0.0.1:3001'];
+    var ringpops = hosts.map(function createRingPop(hostPort, i) {
+        var ringpop = new RingPop({
+            app: 'ringpop',
+            hostPort: hostPort,
+            transport: network.createTransport(hostPort),
+            seed: i === 0
+        });
+        ringpop.setupChannel();
+        return ringpop;
+    });
+    ringpops[1].joinSize = 1;
+
+    ringpops[0].bootstrap([hosts[0]], function onSeed(err) {
+        assert.notok(err, 'seed bootstrapped');
+
+        ringpops[1].bootstrap(hosts, function onBootstrap(err) {
+            assert.notok(err, 'joined seed');
+            assert.ok(ringpops[0].membership.findMemberByAddress(hosts[1]), 'seed knows joiner');
+            assert.equals(ringpops[1].membership.getMemberCount(), 2, 'joiner knows seed');
+
+            ringpops.forEach(function destroy(ringpop) {
+                ringpop.destroy();
+            });
+            assert.end();
+        });
+    });
+});
+
+// Bootstraps a seed and a joiner over the in-process transport, which only
+// sends the messages of errors, and calls back with the error the joiner bootstraps with and how long it
+// took to fail.
+function joinOverInProcessTransport(seedOptions, joinerOptions, callback) {
+    var network = new InProcessNetwork();
+    var hosts = ['127.0.0.1:3000', '127.0.0.1:3001'];
+    var ringpops = [seedOptions, joinerOptions].map(function createRingPop(options, i) {
+        var ringpop = new RingPop(_.extend({
+            app: 'ringpop',
+            hostPort: hosts[i],
+            transport: network.createTransport(hosts[i]),
+            seed: i === 0
+        }, options));
+        ringpop.setupChannel();
+        return ringpop;
+    });
+    ringpops[1].joinSize = 1;
+
+    ringpops[0].bootstrap([hosts[0]], function onSeed() {
+        var start = Date.now();
+        ringpops[1].bootstrap(hosts, function onBootstrap(err) {
+            var duration = Date.now() - start;
+
+            ringpops.forEach(function destroy(ringpop) {
+                ringpop.destroy();
+            });
+            callback(err, duration);
+        });
+    });
+}
+
+test('rejected joiner stops joining when errors are sent as messages', function t(assert) {
+    var seedOptions = {
+        admitJoin: function admitJoin() {
+            return false;
+        }
+    };
+
+    joinOverInProcessTransport(seedOptions, {}, function onJoin(err, duration) {
+        assert.equals(err && err.type, 'ringpop.invalid-join.rejected', 'join is rejected');
+        assert.ok(duration < 100, 'join is not retried');
+        assert.end();
+    });
+});
+
+test('joiner of an incompatible protocol stops joining when errors are sent as messages', function t(assert) {
+    var joinerOptions = {
+        protocolVersion: 9,
+        minProtocolVersion: 9
+    };
+
+    joinOverInProcessTransport({}, joinerOptions, function onJoin(err, duration) {
+        assert.equals(err && err.type, 'ringpop.invalid-join.protocol', 'protocol is incompatible');
+        assert.ok(duration < 100, 'join is not retried');
+        assert.end();
+    });
+});
+
+test('http transport delivers requests, responses and errors', function t(assert) {
+    var client = new HttpTransport({ hostPort: '127.0.0.1:31000' });
+    var server = new HttpTransport({ hostPort: '127.0.0.1:31001' });
+    server.register('/echo', echo);
+    server.register('/fail', function(head, body, hostInfo, cb) {
+        cb(new Error('failed'));
+    });
+    server.register('/hang', function() {});
+
+    server.listen(function onListening(err) {
+        assert.notok(err, 'server is listening');
+
+        function request(endpoint, timeout) {
+            return { host: '127.0.0.1:31001', timeout: timeout || 1000, endpoint: endpoint };
+        }
+
+        client.send(request('/echo'), new Buffer([0, 255]), { a: 1 }, function onEcho(err, res1, res2) {
+            assert.notok(err, 'no error');
+            assert.deepEquals(Array.prototype.slice.call(res1), [0, 255], 'binary head is echoed');
+            assert.deepEquals(JSON.parse(res2.toString()), { a: 1 }, 'body is echoed as JSON');
+
+            client.send(request('/fail'), null, null, function onFail(err) {
+                assert.equals(err && err.message, 'failed', 'handler error is returned');
+
+                client.send(request('/missing'), null, null, function onMissing(err) {
+                    assert.equals(err && err.type, 'ringpop.transport.unknown-endpoint', 'unknown endpoint');
+
+                    client.send(request('/hang', 20), null, null, function onTimeout(err) {
+                        assert.equals(err && err.type, 'ringpop.transport.timeout', 'timed out');
+
+                        server.quit();
+                        client.quit();
+                        assert.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('http transport rejects requests larger than max body size', function t(assert) {
+    var client = new HttpTransport({ hostPort: '127.0.0.1:31000' });
+    var server = new HttpTransport({ hostPort: '127.0.0.1:31001', maxBodySize: 64 });
+    server.register('/echo', echo);
+
+    server.listen(function onListening(err) {
+        assert.notok(err, 'server is listening');
+
+        var options = { host: '127.0.0.1:31001', timeout: 1000, endpoint: '/echo' };
+        client.send(options, null, new Array(100).join('x'), function onTooLarge(err) {
+            assert.equals(err && err.type, 'ringpop.transport.body-too-large', 'body is too large');
+
+            var req = http.request({
+                host: '127.0.0.1',
+                port: 31001,
+                method: 'POST',
+                path: '/echo'
+            }, function onResponse(res) {
+                assert.equals(res.statusCode, 413, 'responds with 413');
+                res.resume();
+
+                client.send(options, null, { a: 1 }, function onSmall(err, res1, res2) {
+                    assert.notok(err, 'small body is accepted');
+                    assert.deepEquals(JSON.parse(res2.toString()), { a: 1 }, 'body is echoed');
+
+                    server.quit();
+                    client.quit();
+                    assert.end();
+                });
+            });
+            req.end(new Array(100).join('x'));
+        });
+    });
+});
+
+test('http transport fails unreachable hosts', function t(assert) {
+    var client = new HttpTransport({ hostPort: '127.0.0.1:31000' });
+
+    client.send({ host: '127.0.0.1:31002', timeout: 1000, endpoint: '/echo' }, null, null, function onSend(err) {
+        assert.equals(err && err.type, 'ringpop.transport.unreachable', 'unreachable host');
+        client.quit();
+        assert.end();
+    });
+});
+
+test('tchannel is adapted to a transport', function t(assert) {
+    var sent = null;
+    var ringpop = new RingPop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        channel: {
+            // Takes (options, endpoint, head, body, callback), as TChannel does
+            send: function send() {
+                sent = Array.prototype.slice.call(arguments);
+                sent.pop()(null, null, null);
+            },
+            quit: function quit() {}
+        }
+    });
+
+    assert.ok(ringpop.transport instanceof TChannelTransport, 'channel is adapted');
+    var options = { host: '127.0.0.1:3001', endpoint: '/protocol/ping' };
+    ringpop.send(options, null, 'body', function onSend(err) {
+        assert.notok(err, 'no error');
+        assert.deepEquals(sent, [options, '/protocol/ping', null, 'body'],
+            'endpoint is passed to tchannel');
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('timeouts are told apart from other errors', function t(assert) {
+    assert.ok(transport.isTimeout(transport.TransportTimeoutError({
+        endpoint: '/protocol/ping',
+        host: '127.0.0.1:3001',
+        timeout: 100
+    })), 'transport timeout');
+    assert.ok(transport.isTimeout(new Error('timed out')), 'tchannel timeout');
+    assert.notok(transport.isTimeout(new Error('need req body with source')), 'handler error');
+    assert.notok(transport.isTimeout(null), 'no error');
+    assert.end();
+});
+
+test('error types survive being sent as messages', function t(assert) {
+    var err = new Error('not admitted');
+    err.type = 'ringpop.invalid-join.rejected';
+
+    var wireErr = new Error(transport.toWireError(err).message);
+    assert.equals(transport.fromWireError(wireErr).type, err.type, 'type is recovered');
+    assert.equals(transport.fromWireError(new Error('failed')).type, undefined, 'untyped error');
+    assert.equals(transport.toWireError(null), null, 'no error');
+    assert.end();
+});